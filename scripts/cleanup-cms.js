@@ -21,6 +21,14 @@ if (existsSync(cmsHtmlPath)) {
   console.log('✅ Removed cms.html');
 }
 
+// Remove login page
+for (const loginPath of [join(distDir, 'login'), join(distDir, 'login.html')]) {
+  if (existsSync(loginPath)) {
+    rmSync(loginPath, { recursive: true, force: true });
+    console.log('✅ Removed /login');
+  }
+}
+
 // Remove API routes (they won't work in static deployment anyway)
 const apiPath = join(distDir, 'api');
 if (existsSync(apiPath)) {
@@ -0,0 +1,42 @@
+import { getStorage } from '../src/lib/storage/index.js';
+import { getMediaLibrary, deleteUploadGroup } from '../src/lib/media.js';
+
+// Usage: node scripts/cleanup-uploads.js [--delete]
+// Without --delete only reports uploads that no POI (including trashed POIs and revisions) uses
+const shouldDelete = process.argv.includes('--delete');
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+console.log('Looking for unreferenced uploads...');
+
+try {
+  const storage = await getStorage();
+  console.log(`Reading from ${storage.name} storage`);
+
+  const media = await getMediaLibrary(storage);
+  const unused = media.filter(upload => upload.usedBy.length === 0);
+  console.log(`Found ${media.length} uploads, ${unused.length} unreferenced`);
+
+  let deleted = 0;
+  for (const upload of unused) {
+    console.log(`${upload.key} (${upload.files.length} files, ${formatSize(upload.size)})`);
+    if (shouldDelete) {
+      deleted += await deleteUploadGroup(storage, upload.key);
+    }
+  }
+
+  const total = unused.reduce((sum, upload) => sum + upload.size, 0);
+  console.log(`\nUnreferenced: ${formatSize(total)}`);
+  if (shouldDelete) {
+    console.log(`Deleted ${deleted} files`);
+  } else if (unused.length > 0) {
+    console.log('Run with --delete to remove them');
+  }
+} catch (error) {
+  console.error('Error cleaning up uploads:', error);
+  process.exit(1);
+}
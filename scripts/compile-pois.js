@@ -1,30 +1,60 @@
-import { readdirSync, readFileSync, writeFileSync } from 'fs';
+import { writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { getStorage } from '../src/lib/storage/index.js';
+import { isPublished, publishedLists } from '../src/lib/workflow.js';
+import { SEARCH_LANGUAGES, buildSearchIndex } from '../src/lib/search.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 console.log('📦 Compiling POIs into static JSON...');
 
-const poisDir = join(__dirname, '..', 'public', 'data', 'pois');
-const outputFile = join(__dirname, '..', 'public', 'data', 'all-pois.json');
+const dataDir = join(__dirname, '..', 'public', 'data');
+const outputFile = join(dataDir, 'all-pois.json');
+const listsFile = join(dataDir, 'all-lists.json');
 
 try {
-  // Read all POI files
-  const files = readdirSync(poisDir).filter(f => f.endsWith('.json'));
+  const storage = await getStorage();
+  console.log(`📂 Reading from ${storage.name} storage`);
 
-  const pois = files.map(file => {
-    const content = readFileSync(join(poisDir, file), 'utf-8');
-    return JSON.parse(content);
-  });
+  // Read all POIs, only published ones go live
+  const allPois = await storage.listPOIs();
+  const pois = allPois.filter(isPublished);
 
-  console.log(`✅ Compiled ${pois.length} POIs`);
+  console.log(`✅ Compiled ${pois.length} POIs (${allPois.length - pois.length} drafts or in review left out)`);
 
   // Write compiled file
   writeFileSync(outputFile, JSON.stringify(pois, null, 2));
   console.log(`✅ Written to /public/data/all-pois.json`);
 
+  // Search index per language, loaded by the map on first search
+  const context = {
+    categories: (await storage.readData('categories')).categories,
+    tags: (await storage.readData('tags')).tags
+  };
+  for (const lang of SEARCH_LANGUAGES) {
+    const index = buildSearchIndex(pois, { ...context, lang });
+    writeFileSync(join(dataDir, `search-index-${lang}.json`), JSON.stringify(index));
+    console.log(`✅ Indexed ${index.words.length} words to /public/data/search-index-${lang}.json`);
+  }
+
+  // Published lists, without stops that are not published yet
+  const { lists } = await storage.readData('lists');
+  const liveLists = publishedLists(lists, allPois);
+  writeFileSync(listsFile, JSON.stringify(liveLists, null, 2));
+  console.log(`✅ Compiled ${liveLists.length} of ${lists.length} lists to /public/data/all-lists.json`);
+
+  // The JSON backend already keeps these files in public/data,
+  // other backends need them exported for the static site
+  if (storage.name !== 'json') {
+    for (const name of ['categories', 'tags']) {
+      const data = await storage.readData(name);
+      writeFileSync(join(dataDir, `${name}.json`), JSON.stringify(data, null, 2));
+      console.log(`✅ Written to /public/data/${name}.json`);
+    }
+  }
+
 } catch (error) {
   console.error('❌ Error compiling POIs:', error);
   process.exit(1);
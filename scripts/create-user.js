@@ -0,0 +1,29 @@
+import readline from 'readline';
+import { saveUser, readUsers, ROLES } from '../src/lib/auth.js';
+
+// Usage: node scripts/create-user.js <username> <editor|admin>
+// The password is read from GRAETZLMAP_PASSWORD or asked for interactively
+const [username, role] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role)) {
+  console.log(`Usage: node scripts/create-user.js <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+async function askPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const password = await new Promise(resolve => rl.question('Password: ', resolve));
+  rl.close();
+  return password;
+}
+
+try {
+  const exists = !!readUsers()[username];
+  const password = process.env.GRAETZLMAP_PASSWORD || await askPassword();
+
+  saveUser(username, { password, role });
+  console.log(`✅ ${exists ? 'Updated' : 'Created'} ${role} "${username}"`);
+} catch (error) {
+  console.error('❌ Error saving user:', error.message);
+  process.exit(1);
+}
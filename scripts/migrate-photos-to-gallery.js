@@ -0,0 +1,47 @@
+import { getStorage } from '../src/lib/storage/index.js';
+import { withPhotos } from '../src/lib/photos.js';
+
+console.log('Starting POI photo migration to galleries...');
+
+try {
+  const storage = await getStorage();
+  console.log(`Reading from ${storage.name} storage`);
+
+  const pois = await storage.listPOIs();
+  console.log(`Found ${pois.length} POIs to check`);
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const poi of pois) {
+    const id = poi.properties.id;
+
+    // Check if the POI still has a single photo field
+    if (!('photo' in poi.properties)) {
+      skipped++;
+      continue;
+    }
+
+    await storage.updatePOI(id, current => {
+      if (!current || !('photo' in current.properties)) return null;
+
+      const properties = withPhotos(current.properties);
+      if (properties.photos && !Array.isArray(current.properties.photos)) {
+        // Initially use the POI name as alt text
+        const name = current.properties.name || '';
+        properties.photos = properties.photos.map(photo => ({ ...photo, alt: { de: name, en: name } }));
+      }
+      return { ...current, properties };
+    });
+    console.log(`Migrated ${id}`);
+    migrated++;
+  }
+
+  console.log('\nMigration complete!');
+  console.log(`Migrated: ${migrated}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Total: ${pois.length}`);
+} catch (error) {
+  console.error('Error migrating photos:', error);
+  process.exit(1);
+}
@@ -0,0 +1,83 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonStorage } from '../src/lib/storage/json-storage.js';
+import { createSqliteStorage } from '../src/lib/storage/sqlite-storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Usage: node scripts/migrate-storage.js <json|sqlite> <json|sqlite>
+// Running it again overwrites POIs, lists, categories, tags and the trash,
+// and only copies the history of documents that have none in the target yet
+const [from, to] = process.argv.slice(2);
+
+async function openStorage(backend) {
+  const uploadsDir = join(__dirname, '..', 'public', 'uploads');
+  if (backend === 'json') {
+    return createJsonStorage({
+      dataDir: join(__dirname, '..', 'public', 'data'),
+      privateDir: join(__dirname, '..', 'data'),
+      uploadsDir
+    });
+  }
+  if (backend === 'sqlite') {
+    return createSqliteStorage({
+      file: process.env.GRAETZLMAP_SQLITE_FILE || join(__dirname, '..', 'data', 'graetzlmap.sqlite'),
+      uploadsDir
+    });
+  }
+  throw new Error(`Unknown storage backend "${backend}"`);
+}
+
+if (!from || !to || from === to) {
+  console.log('Usage: node scripts/migrate-storage.js <json|sqlite> <json|sqlite>');
+  process.exit(1);
+}
+
+console.log(`Copying data from ${from} to ${to} storage...`);
+
+try {
+  const source = await openStorage(from);
+  const target = await openStorage(to);
+
+  const pois = await source.listPOIs();
+  for (const poi of pois) {
+    await target.savePOI(poi);
+  }
+  console.log(`Copied ${pois.length} POIs`);
+
+  for (const name of ['lists', 'categories', 'tags']) {
+    await target.writeData(name, await source.readData(name));
+    console.log(`Copied ${name}`);
+  }
+
+  // Deleted POIs keep when and by whom they were deleted
+  const trash = await source.listTrashedPOIs();
+  for (const entry of trash) {
+    await target.saveTrashedPOI(entry);
+  }
+  console.log(`Copied ${trash.length} deleted POIs`);
+
+  // Revision history of every POI and list, including deleted ones
+  let revisionCount = 0;
+  let skipped = 0;
+  for (const kind of ['pois', 'lists']) {
+    for (const id of await source.listRevisionIds(kind)) {
+      // Copied by an earlier run
+      if ((await target.listRevisions(kind, id)).length > 0) {
+        skipped++;
+        continue;
+      }
+      for (const revision of await source.listRevisions(kind, id)) {
+        await target.appendRevision(kind, id, revision);
+        revisionCount++;
+      }
+    }
+  }
+  console.log(`Copied ${revisionCount} revisions${skipped > 0 ? `, skipped ${skipped} documents with history in the target` : ''}`);
+
+  console.log('\nMigration complete!');
+} catch (error) {
+  console.error('Migration failed:', error);
+  process.exit(1);
+}
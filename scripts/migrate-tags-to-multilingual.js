@@ -0,0 +1,42 @@
+import { getStorage } from '../src/lib/storage/index.js';
+import { recountTags } from '../src/lib/poi-service.js';
+
+console.log('Starting tag migration to multilingual names...');
+
+try {
+  const storage = await getStorage();
+  console.log(`Reading from ${storage.name} storage`);
+
+  let migrated = 0;
+  let skipped = 0;
+
+  await storage.updateData('tags', data => {
+    Object.entries(data.tags).forEach(([key, tag]) => {
+      // Check if name is already multilingual
+      if (tag.name && typeof tag.name === 'object') {
+        console.log(`Skipping ${key} - already multilingual`);
+        skipped++;
+        return;
+      }
+
+      tag.name = {
+        de: tag.name || key,
+        en: tag.name || key // Initially use German name as placeholder for English
+      };
+      console.log(`Migrated ${key}`);
+      migrated++;
+    });
+    return true;
+  });
+
+  // Counts were never maintained before, so start from the real numbers
+  const counts = await recountTags(storage);
+
+  console.log('\nMigration complete!');
+  console.log(`Migrated: ${migrated}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Tags in use: ${Object.keys(counts).length}`);
+} catch (error) {
+  console.error('Error migrating tags:', error);
+  process.exit(1);
+}
@@ -0,0 +1,46 @@
+import { getStorage } from '../src/lib/storage/index.js';
+import { loadGraetzlBoundaries, assignGraetzl, needsGraetzlUpdate } from '../src/lib/graetzl-assignment.js';
+
+// Recompute Graetzl_ID and BEZIRK of every POI, e.g. after graetzl_wien2025.json changed
+console.log('Starting Grätzl re-index...');
+
+try {
+  const storage = await getStorage();
+  console.log(`Reading from ${storage.name} storage`);
+
+  const graetzlData = loadGraetzlBoundaries();
+  console.log(`Loaded ${graetzlData.features.length} Grätzl`);
+
+  const pois = await storage.listPOIs();
+  console.log(`Found ${pois.length} POIs to check`);
+
+  let updated = 0;
+  let outside = 0;
+
+  for (const poi of pois) {
+    const id = poi.properties.id;
+    const { Graetzl_ID } = assignGraetzl(poi, graetzlData).properties;
+
+    if (needsGraetzlUpdate(poi, graetzlData)) {
+      await storage.updatePOI(id, current => {
+        if (!current || !needsGraetzlUpdate(current, graetzlData)) return null;
+        return assignGraetzl(current, graetzlData);
+      });
+      console.log(`Updated ${id}`);
+      updated++;
+    }
+
+    if (Graetzl_ID === null) {
+      console.log(`${id} (${poi.properties.name}) lies outside every Grätzl`);
+      outside++;
+    }
+  }
+
+  console.log('\nRe-index complete!');
+  console.log(`Updated: ${updated}`);
+  console.log(`Outside every Grätzl: ${outside}`);
+  console.log(`Total: ${pois.length}`);
+} catch (error) {
+  console.error('Error re-indexing POIs:', error);
+  process.exit(1);
+}
@@ -0,0 +1,19 @@
+import { rmSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const distDir = join(__dirname, '..', 'dist');
+
+// Remove the raw storage files copied from public/, they include drafts;
+// the site reads the published all-pois.json and all-lists.json or the API instead.
+// Static builds put them in dist/, server builds in dist/client/
+for (const outDir of [distDir, join(distDir, 'client')]) {
+  for (const rawPath of [join(outDir, 'data', 'pois'), join(outDir, 'data', 'lists.json')]) {
+    if (existsSync(rawPath)) {
+      rmSync(rawPath, { recursive: true, force: true });
+      console.log(`✅ Removed ${rawPath.slice(distDir.length)}`);
+    }
+  }
+}
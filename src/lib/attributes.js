@@ -0,0 +1,71 @@
+/**
+ * Category-specific POI attributes
+ * A category may declare typed fields in categories.json, e.g.
+ *   "attributes": {
+ *     "cuisine": { "type": "enum", "label": { "de": "Küche", "en": "Cuisine" },
+ *                  "options": { "italian": { "de": "Italienisch", "en": "Italian" } } },
+ *     "price-level": { "type": "number", "label": { ... }, "min": 1, "max": 4 },
+ *     "smoking": { "type": "boolean", "label": { ... } }
+ *   }
+ * and POIs of that category store their values in properties.attributes by key.
+ * Text attributes are multilingual like descriptions and can't be filtered on
+ */
+
+export const ATTRIBUTE_TYPES = ['enum', 'boolean', 'number', 'text'];
+
+/**
+ * Get the attribute definitions of a category, {} when it declares none
+ */
+export function getAttributeDefinitions(categories, categoryKey) {
+  return categories[categoryKey]?.attributes || {};
+}
+
+/**
+ * Collect the filterable attributes of some categories (all when none are given)
+ * Categories sharing an attribute key share one filter, enum options are combined
+ * @returns {Object} { key: definition }
+ */
+export function getFilterableAttributes(categories, categoryKeys = Object.keys(categories)) {
+  const result = {};
+
+  categoryKeys.forEach(categoryKey => {
+    Object.entries(getAttributeDefinitions(categories, categoryKey)).forEach(([key, definition]) => {
+      if (definition.type === 'text') return;
+
+      if (!result[key]) {
+        result[key] = { ...definition };
+      } else if (definition.type === 'enum' && result[key].type === 'enum') {
+        result[key].options = { ...definition.options, ...result[key].options };
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Check POI properties against attribute filters
+ * @param {Object} filters - { key: value } for enum and boolean attributes,
+ *   { key: { min, max } } for number attributes; POIs without the value don't match
+ */
+export function matchesAttributes(props, filters = {}) {
+  const values = props.attributes || {};
+
+  return Object.entries(filters).every(([key, filter]) => {
+    const value = values[key];
+    if (value === undefined || value === null) return false;
+
+    if (filter !== null && typeof filter === 'object') {
+      return (filter.min === undefined || value >= filter.min)
+        && (filter.max === undefined || value <= filter.max);
+    }
+    return value === filter;
+  });
+}
+
+export default {
+  ATTRIBUTE_TYPES,
+  getAttributeDefinitions,
+  getFilterableAttributes,
+  matchesAttributes
+};
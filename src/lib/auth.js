@@ -0,0 +1,175 @@
+/**
+ * CMS authentication
+ * Users live in a local JSON file with scrypt-hashed passwords,
+ * sessions are signed cookies that are checked against that file on every request
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const ROLES = ['editor', 'admin'];
+export const SESSION_COOKIE = 'graetzlmap_session';
+export const SESSION_MAX_AGE = 60 * 60 * 24 * 7; // seconds
+
+const PRIVATE_DIR = path.join(process.cwd(), 'data');
+const USERS_FILE = process.env.GRAETZLMAP_USERS_FILE || path.join(PRIVATE_DIR, 'users.json');
+const SECRET_FILE = path.join(PRIVATE_DIR, 'session-secret');
+
+let sessionSecret = null;
+
+// Secret for signing session cookies, generated on first use unless set in the environment
+function getSessionSecret() {
+  if (sessionSecret) return sessionSecret;
+
+  if (process.env.GRAETZLMAP_SESSION_SECRET) {
+    sessionSecret = process.env.GRAETZLMAP_SESSION_SECRET;
+  } else if (fs.existsSync(SECRET_FILE)) {
+    sessionSecret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+  } else {
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(PRIVATE_DIR, { recursive: true });
+    fs.writeFileSync(SECRET_FILE, sessionSecret, { mode: 0o600 });
+  }
+  return sessionSecret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSessionSecret()).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Hash a password as "scrypt$salt$hash"
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  return safeEqual(crypto.scryptSync(password, salt, 64).toString('hex'), hash);
+}
+
+/**
+ * Read all users, { username: { passwordHash, role, createdAt } }
+ */
+export function readUsers() {
+  if (!fs.existsSync(USERS_FILE)) return {};
+  return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')).users || {};
+}
+
+/**
+ * Create a user or change the password and role of an existing one
+ */
+export function saveUser(username, { password, role }) {
+  if (!/^[a-z0-9._-]{2,50}$/i.test(username || '')) {
+    throw new Error('Username must be 2-50 letters, digits, dots, dashes or underscores');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (!password || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  const users = readUsers();
+  users[username] = {
+    passwordHash: hashPassword(password),
+    role,
+    createdAt: users[username]?.createdAt || new Date().toISOString()
+  };
+
+  fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+  fs.writeFileSync(USERS_FILE, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  return { username, role };
+}
+
+/**
+ * Check login credentials
+ * @returns {Object|null} { username, role } when valid
+ */
+export function authenticate(username, password) {
+  const user = readUsers()[username];
+  if (!user || !verifyPassword(password || '', user.passwordHash)) return null;
+  return { username, role: user.role };
+}
+
+/**
+ * Create a signed session token for a user
+ */
+export function createSessionToken(username) {
+  const payload = `${Buffer.from(username).toString('base64url')}.${Date.now() + SESSION_MAX_AGE * 1000}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Resolve the logged-in user from the session cookie
+ * Deleted users and changed roles take effect immediately
+ * @returns {Object|null} { username, role }
+ */
+export function getSessionUser(cookies) {
+  const token = cookies.get(SESSION_COOKIE)?.value;
+  if (!token) return null;
+
+  const [name, expires, signature] = token.split('.');
+  if (!name || !expires || !signature) return null;
+  if (!safeEqual(sign(`${name}.${expires}`), signature)) return null;
+  if (Number(expires) < Date.now()) return null;
+
+  const username = Buffer.from(name, 'base64url').toString();
+  const user = readUsers()[username];
+  return user ? { username, role: user.role } : null;
+}
+
+/**
+ * Check whether a user has at least the given role
+ */
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Role needed for a request, or null for public requests
+ * Reading the site is public, the CMS and every write need a login,
+ * deletes (including merging a duplicate POI away) and category management need an admin
+ */
+export function requiredRole(method, pathname) {
+  if (pathname.startsWith('/api/auth/')) return null;
+  if (/^\/cms(\/|$)/.test(pathname)) return 'editor';
+  if (!pathname.startsWith('/api/')) return null;
+
+  if (method === 'GET' || method === 'HEAD') {
+    // Trash and history show deleted content and editor names, the media library draft POIs
+    return /^\/api\/(trash|media)(\/|$)|\/history\/?$/.test(pathname) ? 'editor' : null;
+  }
+
+  if (method === 'DELETE' || /^\/api\/categories(\/|$)|^\/api\/pois\/[^/]+\/merge\/?$/.test(pathname)) return 'admin';
+  return 'editor';
+}
+
+export default {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_MAX_AGE,
+  hashPassword,
+  verifyPassword,
+  readUsers,
+  saveUser,
+  authenticate,
+  createSessionToken,
+  getSessionUser,
+  hasRole,
+  requiredRole
+};
@@ -0,0 +1,197 @@
+/**
+ * Duplicate POI detection
+ * Two POIs are likely duplicates when they are close to each other and their names are similar.
+ * Names are compared umlaut-normalized like slugs, so "Schönbrunner Stöckl" matches "Schoenbrunner Stoeckl"
+ */
+
+import * as turf from '@turf/turf';
+import { nameToSlug } from './slug-utils.js';
+import { getPhotos } from './photos.js';
+
+export const DUPLICATE_DISTANCE = 100; // meters
+export const DUPLICATE_SIMILARITY = 0.6;
+
+/**
+ * Normalize a name for comparing: umlauts spelled out, lower case, letters and digits only
+ */
+export function normalizeName(name) {
+  return nameToSlug(name).replace(/-/g, '');
+}
+
+function bigrams(text) {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+/**
+ * Similarity of two names between 0 and 1 (Sørensen-Dice coefficient of letter pairs)
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+
+  const remaining = [...rightPairs];
+  let common = 0;
+  leftPairs.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      common++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * common) / (leftPairs.length + rightPairs.length);
+}
+
+function hasCoordinates(poi) {
+  const coordinates = poi && poi.geometry && poi.geometry.coordinates;
+  return Array.isArray(coordinates) && coordinates.every(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+// Meters per degree of latitude, on the sphere turf measures distances on
+const METERS_PER_DEGREE = 6371008.8 * Math.PI / 180;
+
+/**
+ * Index POIs for finding duplicates of many POIs, e.g. every row of an import
+ * POIs are kept in a grid of cells about maxDistance wide, so a lookup only compares
+ * the POIs of the neighbouring cells, and names only of those within maxDistance
+ * @param {Array} pois - POI features to start with, more can be added
+ * @param {Object} options - { maxDistance } in meters, { minSimilarity } between 0 and 1
+ * @returns {Object} { add(poi), find(poi) } where find returns [{ poi, distance, similarity }], most similar first
+ */
+export function createDuplicateIndex(pois = [], { maxDistance = DUPLICATE_DISTANCE, minSimilarity = DUPLICATE_SIMILARITY } = {}) {
+  const cellSize = maxDistance / METERS_PER_DEGREE;
+  const cells = new Map();
+  const cellOf = ([lng, lat]) => [Math.floor(lng / cellSize), Math.floor(lat / cellSize)];
+
+  function add(poi) {
+    if (!hasCoordinates(poi)) return;
+    const key = cellOf(poi.geometry.coordinates).join(':');
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(poi);
+  }
+
+  function find(poi) {
+    const name = poi.properties && poi.properties.name;
+    if (!name || !hasCoordinates(poi)) return [];
+    const [lng, lat] = poi.geometry.coordinates;
+    const point = turf.point(poi.geometry.coordinates);
+    const isSelf = other => !!poi.properties.id && other.properties.id === poi.properties.id;
+
+    // A degree of longitude gets shorter away from the equator, so the box is wider than high;
+    // the slack covers the curvature the flat box ignores
+    const latReach = cellSize * 1.01;
+    const lngReach = latReach / Math.max(Math.cos((Math.abs(lat) + latReach) * Math.PI / 180), 0.01);
+    const [x, y] = cellOf(poi.geometry.coordinates);
+    const columns = Math.ceil(lngReach / cellSize);
+
+    const matches = [];
+    for (let i = x - columns; i <= x + columns; i++) {
+      for (let j = y - 1; j <= y + 1; j++) {
+        (cells.get(`${i}:${j}`) || []).forEach(other => {
+          if (isSelf(other)) return;
+          const [otherLng, otherLat] = other.geometry.coordinates;
+          if (Math.abs(otherLat - lat) > latReach || Math.abs(otherLng - lng) > lngReach) return;
+
+          const distance = Math.round(turf.distance(point, turf.point(other.geometry.coordinates), { units: 'meters' }));
+          if (distance > maxDistance) return;
+          const similarity = Math.round(nameSimilarity(name, other.properties.name) * 100) / 100;
+          if (similarity >= minSimilarity) matches.push({ poi: other, distance, similarity });
+        });
+      }
+    }
+    return matches.sort((a, b) => b.similarity - a.similarity || a.distance - b.distance);
+  }
+
+  pois.forEach(add);
+  return { add, find };
+}
+
+/**
+ * Describe a match of createDuplicateIndex the way findDuplicates returns it
+ */
+export function describeDuplicate({ poi, distance, similarity }) {
+  return {
+    id: poi.properties.id,
+    name: poi.properties.name,
+    category: poi.properties.category,
+    distance,
+    similarity
+  };
+}
+
+/**
+ * Find likely duplicates of a POI among other POIs
+ * @param {Object} poi - POI feature, it needs a name and coordinates
+ * @param {Array} pois - POI features to compare with, the POI itself is skipped by ID if it has one
+ * @param {Object} options - { maxDistance } in meters, { minSimilarity } between 0 and 1
+ * @returns {Array} [{ id, name, category, distance, similarity }], most similar first
+ */
+export function findDuplicates(poi, pois, options = {}) {
+  return createDuplicateIndex(pois, options).find(poi).map(describeDuplicate);
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.values(value).every(isEmpty);
+  return false;
+}
+
+/**
+ * Merge the properties of a duplicate into the POI that is kept
+ * The kept POI's values win; fields it lacks are taken from the duplicate,
+ * tags and photos of both are combined. ID, status and the kept POI's geometry stay as they are,
+ * attributes are only taken over within the same category
+ * @returns {Object} merged properties
+ */
+export function mergeProperties(kept, duplicate) {
+  const merged = { ...kept };
+
+  Object.entries(duplicate).forEach(([key, value]) => {
+    if (['id', 'status', 'photo', 'photos', 'tags'].includes(key)) return;
+    if (key === 'attributes' && duplicate.category !== merged.category) return;
+    if (isEmpty(merged[key])) {
+      merged[key] = value;
+    } else if (key !== 'name' && typeof merged[key] === 'object' && !Array.isArray(merged[key])
+      && value && typeof value === 'object' && !Array.isArray(value)) {
+      // Multilingual texts and attributes: fill in missing languages and keys
+      merged[key] = { ...merged[key] };
+      Object.entries(value).forEach(([subKey, subValue]) => {
+        if (isEmpty(merged[key][subKey])) merged[key][subKey] = subValue;
+      });
+    }
+  });
+
+  const tags = [...new Set([...(kept.tags || []), ...(duplicate.tags || [])])];
+  if (tags.length > 0) merged.tags = tags;
+
+  const photos = [...getPhotos(kept)];
+  getPhotos(duplicate).forEach(photo => {
+    if (!photos.some(existing => existing.url === photo.url)) photos.push(photo);
+  });
+  delete merged.photo;
+  if (photos.length > 0) merged.photos = photos;
+
+  return merged;
+}
+
+export default {
+  DUPLICATE_DISTANCE,
+  DUPLICATE_SIMILARITY,
+  normalizeName,
+  nameSimilarity,
+  createDuplicateIndex,
+  describeDuplicate,
+  findDuplicates,
+  mergeProperties
+};
@@ -0,0 +1,52 @@
+/**
+ * ETag helpers for optimistic concurrency on POI and list updates
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Compute a strong ETag from the stored document
+ */
+export function computeEtag(doc) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(doc)).digest('hex');
+  return `"${hash.slice(0, 16)}"`;
+}
+
+/**
+ * Check an If-Match header against the current ETag
+ * A missing header always matches, so clients without ETag support keep working
+ */
+export function ifMatchSatisfied(request, currentEtag) {
+  const header = request.headers.get('If-Match');
+  if (!header) return true;
+  if (header.trim() === '*') return true;
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(currentEtag);
+}
+
+/**
+ * Build the 412 response, including the current document so clients can merge
+ */
+export function preconditionFailedResponse(current) {
+  const etag = computeEtag(current);
+  return new Response(JSON.stringify({
+    error: 'Document was changed by someone else',
+    current,
+    etag
+  }), {
+    status: 412,
+    headers: {
+      'Content-Type': 'application/json',
+      'ETag': etag
+    }
+  });
+}
+
+export default {
+  computeEtag,
+  ifMatchSatisfied,
+  preconditionFailedResponse
+};
@@ -0,0 +1,196 @@
+/**
+ * Export lists and walks as GPX, KML and GeoJSON
+ * Used by the /exports routes, which are also built as static files
+ */
+
+import { nameToSlug } from './slug-utils.js';
+
+export const EXPORT_FORMATS = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  geojson: 'application/geo+json'
+};
+
+export const EXPORT_LANGUAGES = ['de', 'en'];
+
+function translate(text, lang) {
+  if (!text) return '';
+  if (typeof text === 'string') return text;
+  return text[lang] || text.de || text.en || '';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Slug used in export file names
+ */
+export function getListSlug(list) {
+  return list.slug || nameToSlug(list.title);
+}
+
+/**
+ * Get the list's POIs in list order, skipping IDs that no longer exist
+ */
+export function getListStops(list, pois) {
+  const poisById = new Map(pois.map(poi => [poi.properties.id, poi]));
+  return list.pois.map(id => poisById.get(id)).filter(Boolean);
+}
+
+/**
+ * GeoJSON FeatureCollection with one Point per stop (plus the route line for walks)
+ */
+export function listToGeoJSON(list, stops, lang = 'de') {
+  const features = stops.map((poi, index) => ({
+    type: 'Feature',
+    geometry: poi.geometry,
+    properties: {
+      id: poi.properties.id,
+      order: index + 1,
+      name: poi.properties.name,
+      category: poi.properties.category,
+      description: translate(poi.properties.description, lang),
+      link: poi.properties.link || undefined
+    }
+  }));
+
+  if (list.showAsWalk && stops.length > 1) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: stops.map(poi => poi.geometry.coordinates)
+      },
+      properties: {
+        name: translate(list.title, lang)
+      }
+    });
+  }
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name: translate(list.title, lang),
+    description: translate(list.description, lang),
+    features
+  }, null, 2);
+}
+
+/**
+ * GPX 1.1 with ordered waypoints, plus a route for walks
+ */
+export function listToGPX(list, stops, lang = 'de') {
+  const title = translate(list.title, lang);
+  const point = (tag, poi, index) => {
+    const [lng, lat] = poi.geometry.coordinates;
+    const description = translate(poi.properties.description, lang);
+    return [
+      `  <${tag} lat="${lat}" lon="${lng}">`,
+      `    <name>${escapeXml(`${index + 1}. ${poi.properties.name}`)}</name>`,
+      description ? `    <desc>${escapeXml(description)}</desc>` : null,
+      poi.properties.link ? `    <link href="${escapeXml(poi.properties.link)}"/>` : null,
+      `    <type>${escapeXml(poi.properties.category || '')}</type>`,
+      `  </${tag}>`
+    ].filter(Boolean).join('\n');
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Grätzlmap" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(title)}</name>`,
+    translate(list.description, lang) ? `    <desc>${escapeXml(translate(list.description, lang))}</desc>` : null,
+    '  </metadata>',
+    ...stops.map((poi, index) => point('wpt', poi, index))
+  ];
+
+  if (list.showAsWalk) {
+    lines.push(
+      '  <rte>',
+      `    <name>${escapeXml(title)}</name>`,
+      ...stops.map((poi, index) => point('rtept', poi, index).replace(/^/gm, '  ')),
+      '  </rte>'
+    );
+  }
+
+  lines.push('</gpx>');
+  return lines.filter(line => line !== null).join('\n') + '\n';
+}
+
+/**
+ * KML with one Placemark per stop, plus the route line for walks
+ */
+export function listToKML(list, stops, lang = 'de') {
+  const title = translate(list.title, lang);
+  const placemarks = stops.map((poi, index) => {
+    const [lng, lat] = poi.geometry.coordinates;
+    const description = translate(poi.properties.description, lang);
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(`${index + 1}. ${poi.properties.name}`)}</name>`,
+      description ? `      <description>${escapeXml(description)}</description>` : null,
+      `      <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(Boolean).join('\n');
+  });
+
+  if (list.showAsWalk && stops.length > 1) {
+    placemarks.push([
+      '    <Placemark>',
+      `      <name>${escapeXml(title)}</name>`,
+      '      <LineString>',
+      '        <tessellate>1</tessellate>',
+      `        <coordinates>${stops.map(poi => poi.geometry.coordinates.join(',')).join(' ')}</coordinates>`,
+      '      </LineString>',
+      '    </Placemark>'
+    ].join('\n'));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    translate(list.description, lang) ? `    <description>${escapeXml(translate(list.description, lang))}</description>` : null,
+    ...placemarks,
+    '  </Document>',
+    '</kml>'
+  ].filter(line => line !== null).join('\n') + '\n';
+}
+
+/**
+ * Export a list in the given format
+ * @param {Object} list - list from lists.json
+ * @param {Array} pois - all POIs
+ * @param {String} format - "gpx", "kml" or "geojson"
+ * @param {String} lang - "de" or "en"
+ */
+export function exportList(list, pois, format, lang = 'de') {
+  const stops = getListStops(list, pois);
+  switch (format) {
+    case 'gpx':
+      return listToGPX(list, stops, lang);
+    case 'kml':
+      return listToKML(list, stops, lang);
+    case 'geojson':
+      return listToGeoJSON(list, stops, lang);
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_LANGUAGES,
+  getListSlug,
+  getListStops,
+  listToGeoJSON,
+  listToGPX,
+  listToKML,
+  exportList
+};
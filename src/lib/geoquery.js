@@ -4,35 +4,53 @@
  */
 
 import * as turf from '@turf/turf';
+import { isActive } from './validity.js';
+import { isOpenAt } from './opening-hours.js';
+import { matchesAttributes } from './attributes.js';
+import { searchPOIs as rankPOIs } from './search.js';
 
 /**
  * Load and cache data
  */
 let geoDataCache = null;
 let graetzlDataCache = null;
+const searchIndexCache = {};
 
-export async function loadGeoData() {
-  if (geoDataCache) {
+/**
+ * Load all POIs as a FeatureCollection
+ * @param {Object} options - { reload: true } bypasses the cache after edits,
+ *   { drafts: true } loads unpublished POIs from the API for preview mode (needs a login)
+ */
+export async function loadGeoData({ reload = false, drafts = false } = {}) {
+  if (geoDataCache && !reload) {
     return geoDataCache;
   }
 
   let features;
 
-  // Try static file first (production), then API (development)
-  try {
-    const response = await fetch('/data/all-pois.json');
-    if (response.ok) {
-      features = await response.json();
-    } else {
-      throw new Error('Static file not found, trying API');
-    }
-  } catch (error) {
-    // Fallback to API endpoint (development mode)
-    const response = await fetch('/api/pois');
+  if (drafts) {
+    const response = await fetch('/api/pois?drafts=1');
     if (!response.ok) {
-      throw new Error('Failed to load POI data from both static file and API');
+      throw new Error('Failed to load draft POIs from API');
     }
     features = await response.json();
+  } else {
+    try {
+      // Try static file first (production), then API (development)
+      const response = await fetch('/data/all-pois.json');
+      if (response.ok) {
+        features = await response.json();
+      } else {
+        throw new Error('Static file not found, trying API');
+      }
+    } catch (error) {
+      // Fallback to API endpoint (development mode)
+      const response = await fetch('/api/pois');
+      if (!response.ok) {
+        throw new Error('Failed to load POI data from both static file and API');
+      }
+      features = await response.json();
+    }
   }
 
   // Wrap features in GeoJSON FeatureCollection format
@@ -58,6 +76,19 @@ export async function loadGraetzlData() {
   return graetzlDataCache;
 }
 
+/**
+ * Load the prebuilt search index of a language, written by scripts/compile-pois.js
+ * @returns {Object|null} null without one, e.g. in development before compiling
+ */
+export async function loadSearchIndex(lang) {
+  if (!(lang in searchIndexCache)) {
+    searchIndexCache[lang] = fetch(`/data/search-index-${lang}.json`)
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null);
+  }
+  return searchIndexCache[lang];
+}
+
 /**
  * Get all Grätzl (neighborhood) features from graetzl data
  */
@@ -117,28 +148,44 @@ export function findGraetzlAtPoint(graetzlData, point) {
 }
 
 /**
- * Get all POIs within a specific Grätzl polygon (spatial query)
- * Uses actual point-in-polygon test
+ * Check whether a POI lies in a Grätzl
+ * Uses the Graetzl_ID the API stores on every POI (null outside all Grätzl),
+ * POIs saved before that fall back to a point-in-polygon test
+ */
+export function isPOIInGraetzl(poi, graetzl) {
+  if ('Graetzl_ID' in poi.properties) {
+    return poi.properties.Graetzl_ID === graetzl.properties.Graetzl_ID;
+  }
+  return turf.booleanPointInPolygon(poi, graetzl);
+}
+
+/**
+ * Get all POIs within a specific Grätzl
  */
 export function getPOIsInGraetzl(geoData, graetzlData, graetzlId) {
   const graetzl = getGraetzl(graetzlData, graetzlId);
   if (!graetzl) return [];
 
   const pois = getPOIFeatures(geoData);
-  return pois.filter(poi => turf.booleanPointInPolygon(poi, graetzl));
+  return pois.filter(poi => isPOIInGraetzl(poi, graetzl));
 }
 
 /**
- * Filter POIs by Grätzl and/or categories (with spatial query)
+ * Filter POIs by Grätzl and/or categories
+ * filters.tags keeps only POIs with all of these tags,
+ * upcoming and expired POIs are left out unless filters.includeInactive is set,
+ * filters.date checks validity for another day than today,
+ * filters.openAt ({ day, minutes } in Vienna) keeps only POIs open at that time,
+ * filters.attributes keeps only POIs with matching category attributes
  */
 export function filterPOIsWithGraetzl(geoData, graetzlData, filters = {}) {
   let pois = getPOIFeatures(geoData);
 
-  // Filter by Grätzl using spatial query
+  // Filter by Grätzl
   if (filters.graetzlId) {
     const graetzl = getGraetzl(graetzlData, filters.graetzlId);
     if (graetzl) {
-      pois = pois.filter(poi => turf.booleanPointInPolygon(poi, graetzl));
+      pois = pois.filter(poi => isPOIInGraetzl(poi, graetzl));
     }
   }
 
@@ -147,6 +194,26 @@ export function filterPOIsWithGraetzl(geoData, graetzlData, filters = {}) {
     pois = pois.filter(poi => filters.categories.includes(poi.properties.category));
   }
 
+  // Filter by tags
+  if (filters.tags && filters.tags.length > 0) {
+    pois = pois.filter(poi => filters.tags.every(tag => (poi.properties.tags || []).includes(tag)));
+  }
+
+  // Hide upcoming and expired POIs unless asked for
+  if (!filters.includeInactive) {
+    pois = pois.filter(poi => isActive(poi.properties, filters.date));
+  }
+
+  // Filter by opening hours, POIs without them can't be known to be open
+  if (filters.openAt) {
+    pois = pois.filter(poi => isOpenAt(poi.properties.opening_hours, filters.openAt));
+  }
+
+  // Filter by category attributes
+  if (filters.attributes && Object.keys(filters.attributes).length > 0) {
+    pois = pois.filter(poi => matchesAttributes(poi.properties, filters.attributes));
+  }
+
   return pois;
 }
 
@@ -203,22 +270,19 @@ export function leafletCoordsToGeoJSON(coords) {
 }
 
 /**
- * Search POIs by text in name or description
+ * Search POIs by text in name, descriptions and tag and category names, best match first
+ * @param {Object} options - { categories, tags } definitions, to search their names
  */
-export function searchPOIs(geoData, searchText) {
+export function searchPOIs(geoData, searchText, options = {}) {
   if (!searchText) return getPOIFeatures(geoData);
 
-  const text = searchText.toLowerCase();
-  return getPOIFeatures(geoData).filter(poi => {
-    const name = poi.properties.name.toLowerCase();
-    const desc = poi.properties.description.toLowerCase();
-    return name.includes(text) || desc.includes(text);
-  });
+  return rankPOIs(getPOIFeatures(geoData), searchText, options).map(result => result.poi);
 }
 
 export default {
   loadGeoData,
   loadGraetzlData,
+  loadSearchIndex,
   getGraetzlFeatures,
   getPOIFeatures,
   getGraetzl,
@@ -226,6 +290,7 @@ export default {
   getPOIsByCategory,
   filterPOIsWithGraetzl,
   findGraetzlAtPoint,
+  isPOIInGraetzl,
   getPOIsInGraetzl,
   getPOIsNearPoint,
   getAllCategories,
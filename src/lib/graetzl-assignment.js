@@ -0,0 +1,58 @@
+/**
+ * Grätzl and district assignment for POIs
+ * The API stores the Graetzl_ID and BEZIRK of the Grätzl a POI lies in on every write,
+ * so the map can filter by ID instead of testing points against polygons.
+ * Both are null for POIs outside every Grätzl; scripts/reindex-graetzl.js
+ * recomputes them when the boundaries in graetzl_wien2025.json change
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { findGraetzlAtPoint } from './geoquery.js';
+
+export const GRAETZL_FILE = path.join(process.cwd(), 'public', 'data', 'graetzl_wien2025.json');
+
+let boundariesCache = null;
+
+/**
+ * Read the Grätzl boundaries (cached)
+ * @param {Object} options - { reload: true } reads the file again
+ */
+export function loadGraetzlBoundaries({ reload = false } = {}) {
+  if (!boundariesCache || reload) {
+    boundariesCache = JSON.parse(fs.readFileSync(GRAETZL_FILE, 'utf8'));
+  }
+  return boundariesCache;
+}
+
+/**
+ * Return a copy of a POI with Graetzl_ID and BEZIRK set from its coordinates
+ */
+export function assignGraetzl(poi, graetzlData = loadGraetzlBoundaries()) {
+  const coordinates = poi.geometry && poi.geometry.coordinates;
+  const graetzl = Array.isArray(coordinates) ? findGraetzlAtPoint(graetzlData, coordinates) : null;
+
+  return {
+    ...poi,
+    properties: {
+      ...poi.properties,
+      Graetzl_ID: graetzl ? graetzl.properties.Graetzl_ID : null,
+      BEZIRK: graetzl ? graetzl.properties.BEZIRK : null
+    }
+  };
+}
+
+/**
+ * Check whether a POI's stored assignment differs from the one its coordinates give
+ */
+export function needsGraetzlUpdate(poi, graetzlData = loadGraetzlBoundaries()) {
+  const assigned = assignGraetzl(poi, graetzlData).properties;
+  return poi.properties.Graetzl_ID !== assigned.Graetzl_ID || poi.properties.BEZIRK !== assigned.BEZIRK;
+}
+
+export default {
+  GRAETZL_FILE,
+  loadGraetzlBoundaries,
+  assignGraetzl,
+  needsGraetzlUpdate
+};
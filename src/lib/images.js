@@ -0,0 +1,140 @@
+/**
+ * Image processing for photo uploads
+ * Uploads are identified by their magic bytes, never by the client's file name or MIME type,
+ * then re-encoded into responsive widths as JPEG and WebP. Re-encoding drops all metadata,
+ * including EXIF GPS positions, after applying the EXIF orientation
+ */
+
+import sharp from 'sharp';
+
+export const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+export const MAX_DIMENSION = 12000;
+export const WIDTHS = [480, 960, 1600];
+export const FORMATS = ['jpeg', 'webp'];
+
+const EXTENSIONS = { jpeg: 'jpg', webp: 'webp' };
+
+/**
+ * A rejected upload, with the HTTP status to answer with
+ */
+export class ImageUploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImageUploadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Detect the image type from the first bytes of a file
+ * @returns {String|null} "jpeg", "png", "gif" or "webp"
+ */
+export function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+/**
+ * Widths to render for an image: the standard widths below its own width, plus its own width
+ * when it is smaller than the largest standard width
+ */
+function targetWidths(width) {
+  const widths = WIDTHS.filter(w => w < width);
+  if (width <= WIDTHS[WIDTHS.length - 1]) widths.push(width);
+  return widths;
+}
+
+/**
+ * Check and re-encode an uploaded image without storing anything yet
+ * @param {Buffer} buffer - raw upload
+ * @returns {Promise<{width: number, height: number, files: Array<{width: number, format: string, data: Buffer}>}>}
+ *   the image's size and one encoded file per width and format
+ */
+export async function renderUpload(buffer) {
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new ImageUploadError(`Images may be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, 413);
+  }
+  if (!detectImageType(buffer)) {
+    throw new ImageUploadError('Only JPEG, PNG, GIF and WebP images can be uploaded', 415);
+  }
+
+  const options = { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION };
+  let metadata;
+  try {
+    metadata = await sharp(buffer, options).metadata();
+  } catch (error) {
+    throw new ImageUploadError('The image could not be read');
+  }
+
+  // EXIF orientations 5-8 turn the image by 90 degrees
+  const turned = metadata.orientation >= 5;
+  const width = turned ? metadata.height : metadata.width;
+  const height = turned ? metadata.width : metadata.height;
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new ImageUploadError(`Images may be at most ${MAX_DIMENSION} pixels wide and high`, 413);
+  }
+
+  const files = [];
+  for (const variantWidth of targetWidths(width)) {
+    for (const format of FORMATS) {
+      const resized = sharp(buffer, options).rotate().resize({ width: variantWidth, withoutEnlargement: true });
+      const output = format === 'jpeg'
+        ? resized.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true })
+        : resized.webp({ quality: 80 });
+
+      try {
+        files.push({ width: variantWidth, format, data: await output.toBuffer() });
+      } catch (error) {
+        throw new ImageUploadError('The image could not be processed');
+      }
+    }
+  }
+
+  return { width, height, files };
+}
+
+/**
+ * Store the files of an image rendered with renderUpload
+ * @param {Object} storage - storage backend, files are written with saveUpload
+ * @param {{width: number, height: number, files: Array<{width: number, format: string, data: Buffer}>}} image
+ * @param {String} basename - file name without extension, e.g. poi_1712345678901
+ * @returns {Promise<{url: string, width: number, height: number, variants: Array<{url: string, width: number, format: string}>}>}
+ *   url is the largest JPEG for clients that don't use srcset
+ */
+export async function storeUpload(storage, image, basename) {
+  const variants = [];
+  for (const file of image.files) {
+    const url = await storage.saveUpload(`${basename}-${file.width}.${EXTENSIONS[file.format]}`, file.data);
+    variants.push({ url, width: file.width, format: file.format });
+  }
+
+  const largest = variants.filter(variant => variant.format === 'jpeg').pop();
+  return {
+    url: largest.url,
+    width: largest.width,
+    height: Math.round(image.height * largest.width / image.width),
+    variants
+  };
+}
+
+export default {
+  MAX_UPLOAD_BYTES,
+  MAX_DIMENSION,
+  WIDTHS,
+  FORMATS,
+  ImageUploadError,
+  detectImageType,
+  renderUpload,
+  storeUpload
+};
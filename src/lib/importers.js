@@ -0,0 +1,397 @@
+/**
+ * Parsers for bulk POI imports from CSV, GeoJSON and KML
+ * Every parser returns rows of { line, data, errors } where data holds the
+ * raw POI fields found in the file (name, lat, lng, category, tags, ...)
+ * and mapImportRow turns them into a POI feature
+ */
+
+import { nameToSlug } from './slug-utils.js';
+
+export const IMPORT_FORMATS = ['csv', 'geojson', 'kml'];
+
+// Accepted CSV header names (lower case, spaces and dashes as underscores)
+const CSV_COLUMNS = {
+  name: ['name', 'title', 'titel'],
+  lat: ['lat', 'latitude', 'breite'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'laenge'],
+  gmaps: ['gmaps', 'google_maps', 'google_maps_url', 'maps_url', 'url', 'coordinates', 'koordinaten'],
+  category: ['category', 'kategorie'],
+  tags: ['tags'],
+  description: ['description', 'beschreibung'],
+  descriptionDe: ['description_de', 'beschreibung_de'],
+  descriptionEn: ['description_en', 'beschreibung_en'],
+  link: ['link', 'website', 'web'],
+  instagram: ['instagram'],
+  photo: ['photo', 'foto', 'image']
+};
+
+/**
+ * Extract coordinates from "lat, lng" or a Google Maps URL (".../@lat,lng,...")
+ * The CMS form uses this parser as well
+ */
+export function parseGoogleMapsCoords(input) {
+  if (!input) return null;
+
+  const simpleMatch = input.match(/^\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*$/);
+  if (simpleMatch) {
+    return { lat: parseFloat(simpleMatch[1]), lng: parseFloat(simpleMatch[2]) };
+  }
+
+  const urlMatch = input.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+  if (urlMatch) {
+    return { lat: parseFloat(urlMatch[1]), lng: parseFloat(urlMatch[2]) };
+  }
+
+  return null;
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  // Spreadsheets with a German locale export decimal commas
+  const number = Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+function splitTags(value) {
+  if (Array.isArray(value)) return value.map(String).map(t => t.trim()).filter(Boolean);
+  if (!value) return [];
+  return String(value).split(/[,;|]/).map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, "," ";" or tab separated)
+ */
+export function parseCSV(text) {
+  const input = text.replace(/^﻿/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop empty lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Read POI rows from CSV with a header line
+ * Coordinates come from lat/lng columns or a Google Maps URL column
+ */
+export function importFromCSV(text) {
+  const [header, ...records] = parseCSV(text);
+  if (!header) return [];
+
+  const normalizedHeader = header.map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const columnIndex = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+    const index = normalizedHeader.findIndex(h => names.includes(h));
+    if (index !== -1) columnIndex[field] = index;
+  });
+
+  return records.map((record, i) => {
+    const cell = field => (columnIndex[field] === undefined ? '' : (record[columnIndex[field]] || '').trim());
+    const errors = [];
+
+    let lat = parseNumber(cell('lat'));
+    let lng = parseNumber(cell('lng'));
+    if ((lat === null || lng === null) && cell('gmaps')) {
+      const coords = parseGoogleMapsCoords(cell('gmaps'));
+      if (coords) {
+        ({ lat, lng } = coords);
+      } else {
+        errors.push({ field: 'coordinates', message: 'Could not read coordinates from the Google Maps URL' });
+      }
+    }
+    if ((lat === null || lng === null) && errors.length === 0) {
+      errors.push({ field: 'coordinates', message: 'Coordinates are missing' });
+    }
+
+    return {
+      // Line in the file, counting the header as line 1
+      line: i + 2,
+      data: {
+        name: cell('name'),
+        lat,
+        lng,
+        category: cell('category'),
+        tags: splitTags(cell('tags')),
+        description: {
+          de: cell('descriptionDe') || cell('description'),
+          en: cell('descriptionEn')
+        },
+        link: cell('link'),
+        instagram: cell('instagram'),
+        photo: cell('photo')
+      },
+      errors
+    };
+  });
+}
+
+/**
+ * Read POI rows from a GeoJSON FeatureCollection (or a single Feature)
+ */
+export function importFromGeoJSON(text) {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid GeoJSON: ${error.message}`);
+  }
+
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+  if (!Array.isArray(features)) {
+    throw new Error('Invalid GeoJSON: expected a FeatureCollection');
+  }
+
+  return features.map((feature, i) => {
+    const props = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    const errors = [];
+
+    let lat = null;
+    let lng = null;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      errors.push({ field: 'geometry', message: 'Only Point geometries can be imported' });
+    } else {
+      lng = parseNumber(geometry.coordinates[0]);
+      lat = parseNumber(geometry.coordinates[1]);
+    }
+
+    const description = props.description;
+    return {
+      line: i + 1,
+      data: {
+        name: String(props.name || props.title || '').trim(),
+        lat,
+        lng,
+        category: String(props.category || '').trim(),
+        tags: splitTags(props.tags),
+        description: description && typeof description === 'object'
+          ? { de: description.de || '', en: description.en || '' }
+          : { de: description ? String(description) : '', en: '' },
+        link: String(props.link || props.website || ''),
+        instagram: String(props.instagram || ''),
+        photo: String(props.photo || '')
+      },
+      errors
+    };
+  });
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlText(block, tag) {
+  const match = block.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]).trim() : '';
+}
+
+// Descriptions from Google My Maps contain HTML line breaks
+function stripHtml(value) {
+  return value
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .trim();
+}
+
+/**
+ * Read POI rows from KML (e.g. a Google My Maps export)
+ * Placemarks with a Point become rows; the layer (Folder) name is used as category
+ */
+export function importFromKML(text) {
+  if (!/<kml[\s>]/.test(text)) {
+    throw new Error('Invalid KML: missing <kml> root element');
+  }
+
+  // Pair every placemark with the name of the folder it is in
+  const placemarks = [];
+  const folders = text.match(/<Folder[\s>][\s\S]*?<\/Folder>/g);
+  (folders || [text]).forEach(block => {
+    const folderName = folders ? xmlText(block.replace(/<Placemark[\s\S]*/, ''), 'name') : '';
+    (block.match(/<Placemark[\s>][\s\S]*?<\/Placemark>/g) || []).forEach(placemark => {
+      placemarks.push({ placemark, folderName });
+    });
+  });
+
+  return placemarks.map(({ placemark, folderName }, i) => {
+    const errors = [];
+
+    // My Maps puts custom columns into ExtendedData
+    const extended = {};
+    (placemark.match(/<Data\s+name="[^"]*"[\s\S]*?<\/Data>/g) || []).forEach(data => {
+      const key = data.match(/name="([^"]*)"/)[1].trim().toLowerCase();
+      extended[key] = xmlText(data, 'value');
+    });
+
+    let lat = null;
+    let lng = null;
+    const point = placemark.match(/<Point[\s>][\s\S]*?<\/Point>/);
+    if (!point) {
+      errors.push({ field: 'geometry', message: 'Only placemarks with a Point can be imported' });
+    } else {
+      // KML coordinates are "lng,lat[,altitude]"
+      const [lngText, latText] = xmlText(point[0], 'coordinates').split(',');
+      lng = parseNumber(lngText);
+      lat = parseNumber(latText);
+      if (lat === null || lng === null) {
+        errors.push({ field: 'coordinates', message: 'Coordinates are missing' });
+      }
+    }
+
+    return {
+      line: i + 1,
+      data: {
+        name: xmlText(placemark, 'name'),
+        lat,
+        lng,
+        category: extended.category || extended.kategorie || folderName,
+        tags: splitTags(extended.tags),
+        description: { de: stripHtml(xmlText(placemark, 'description')), en: '' },
+        link: extended.link || extended.website || '',
+        instagram: extended.instagram || '',
+        photo: extended.photo || ''
+      },
+      errors
+    };
+  });
+}
+
+/**
+ * Parse an import file
+ * @param {String} format - "csv", "geojson" or "kml"
+ * @param {String} text - file content
+ */
+export function parseImport(format, text) {
+  switch (format) {
+    case 'csv':
+      return importFromCSV(text);
+    case 'geojson':
+      return importFromGeoJSON(text);
+    case 'kml':
+      return importFromKML(text);
+    default:
+      throw new Error(`Unsupported import format "${format}" (expected ${IMPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Find the category key for an imported category value
+ * Checks the explicit mapping first, then keys and German/English names
+ */
+export function resolveCategory(value, categories, mapping = {}) {
+  if (Object.prototype.hasOwnProperty.call(mapping, value)) return mapping[value];
+
+  const slug = nameToSlug(value);
+  if (categories[slug]) return slug;
+
+  const lower = value.toLowerCase();
+  const match = Object.entries(categories).find(([, category]) => {
+    const names = typeof category.name === 'object' ? Object.values(category.name) : [category.name];
+    return names.some(name => String(name).toLowerCase() === lower);
+  });
+  return match ? match[0] : slug;
+}
+
+/**
+ * Find the tag key for an imported tag value; an empty mapping drops the tag
+ */
+export function resolveTag(value, tags, mapping = {}) {
+  if (Object.prototype.hasOwnProperty.call(mapping, value)) return mapping[value];
+
+  const slug = nameToSlug(value);
+  if (tags[slug]) return slug;
+
+  const lower = value.toLowerCase();
+  const match = Object.entries(tags).find(([, tag]) => {
+    const names = typeof tag.name === 'object' ? Object.values(tag.name) : [tag.name];
+    return names.some(name => String(name).toLowerCase() === lower);
+  });
+  return match ? match[0] : slug;
+}
+
+/**
+ * Build a POI feature from an imported row, applying category and tag mappings
+ * @param {Object} data - row data from parseImport
+ * @param {Object} context - { categories, tags, mapping: { categories, tags } }
+ */
+export function mapImportRow(data, { categories = {}, tags = {}, mapping = {} } = {}) {
+  const tagKeys = data.tags
+    .map(tag => resolveTag(tag, tags, mapping.tags))
+    .filter(Boolean);
+
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [data.lng, data.lat]
+    },
+    properties: {
+      name: data.name,
+      category: resolveCategory(data.category, categories, mapping.categories),
+      description: data.description,
+      link: data.link,
+      instagram: data.instagram,
+      photos: data.photo ? [{ url: data.photo }] : [],
+      tags: [...new Set(tagKeys)]
+    }
+  };
+}
+
+export default {
+  IMPORT_FORMATS,
+  parseGoogleMapsCoords,
+  parseCSV,
+  importFromCSV,
+  importFromGeoJSON,
+  importFromKML,
+  parseImport,
+  resolveCategory,
+  resolveTag,
+  mapImportRow
+};
@@ -11,17 +11,17 @@ export default {
 	nav: {
 		list: 'Liste',
 		walkthrough: 'Grätzlwalk',
-		selectGraetzl: 'Grätzl auswählen',
-		searchPOI: 'POI suchen',
-		filterCategories: 'Kategorien filtern'
+		search: 'Suchen',
+		filterCategories: 'Kategorien filtern',
+		validity: 'Saisonale Orte',
+		openingHours: 'Öffnungszeiten',
+		attributes: 'Eigenschaften'
 	},
 
 	// Placeholders
 	placeholder: {
-		noList: 'Keine Liste ausgewählt',
 		noWalk: 'Kein Walk ausgewählt',
-		allGraetzl: 'Alle Grätzl werden angezeigt',
-		searchPOI: 'POI nach Name suchen...',
+		search: 'Grätzl, Liste, POI, Kategorie oder Tag...',
 		searchCategories: 'Kategorien suchen...'
 	},
 
@@ -41,7 +41,62 @@ export default {
 	// Sidebar
 	sidebar: {
 		list: 'Liste',
-		walkthrough: 'Walk'
+		walkthrough: 'Walk',
+		download: 'Herunterladen:'
+	},
+
+	// Seasonal and time-limited POIs
+	validity: {
+		showInactive: 'Vergangene und kommende anzeigen',
+		season: 'Jährlich',
+		from: 'Ab',
+		until: 'Bis',
+		upcoming: 'Demnächst',
+		expired: 'Vorbei'
+	},
+
+	// Opening hours
+	hours: {
+		any: 'Alle Orte',
+		openNow: 'Jetzt geöffnet',
+		openAt: 'Geöffnet am …',
+		today: 'Heute',
+		closedToday: 'Heute geschlossen',
+		open: 'Geöffnet',
+		closed: 'Geschlossen'
+	},
+
+	// Category attributes
+	attributes: {
+		any: 'Alle',
+		yes: 'Ja',
+		no: 'Nein',
+		min: 'Ab',
+		max: 'Bis'
+	},
+
+	// Search box
+	search: {
+		noResults: 'Nichts gefunden',
+		graetzl: 'Grätzl',
+		lists: 'Listen & Walks',
+		pois: 'POIs',
+		categories: 'Kategorien',
+		tags: 'Tags'
+	},
+
+	// Photo galleries
+	gallery: {
+		previous: 'Vorheriges Foto',
+		next: 'Nächstes Foto'
+	},
+
+	// Preview mode
+	preview: {
+		show: 'Entwürfe anzeigen',
+		hide: 'Entwürfe ausblenden',
+		draft: 'Entwurf',
+		review: 'In Prüfung'
 	},
 
 	// Language switcher
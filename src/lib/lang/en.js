@@ -11,17 +11,17 @@ export default {
 	nav: {
 		list: 'List',
 		walkthrough: 'Neighborhood Walk',
-		selectGraetzl: 'Select Neighborhood',
-		searchPOI: 'Search POI',
-		filterCategories: 'Filter Categories'
+		search: 'Search',
+		filterCategories: 'Filter Categories',
+		validity: 'Seasonal Places',
+		openingHours: 'Opening Hours',
+		attributes: 'Features'
 	},
 
 	// Placeholders
 	placeholder: {
-		noList: 'No list selected',
 		noWalk: 'No walk selected',
-		allGraetzl: 'All neighborhoods shown',
-		searchPOI: 'Search POI by name...',
+		search: 'Neighborhood, list, POI, category or tag...',
 		searchCategories: 'Search categories...'
 	},
 
@@ -41,7 +41,62 @@ export default {
 	// Sidebar
 	sidebar: {
 		list: 'List',
-		walkthrough: 'Walk'
+		walkthrough: 'Walk',
+		download: 'Download:'
+	},
+
+	// Seasonal and time-limited POIs
+	validity: {
+		showInactive: 'Show upcoming and past',
+		season: 'Every year',
+		from: 'From',
+		until: 'Until',
+		upcoming: 'Upcoming',
+		expired: 'Over'
+	},
+
+	// Opening hours
+	hours: {
+		any: 'All places',
+		openNow: 'Open now',
+		openAt: 'Open at …',
+		today: 'Today',
+		closedToday: 'Closed today',
+		open: 'Open',
+		closed: 'Closed'
+	},
+
+	// Category attributes
+	attributes: {
+		any: 'Any',
+		yes: 'Yes',
+		no: 'No',
+		min: 'Min',
+		max: 'Max'
+	},
+
+	// Search box
+	search: {
+		noResults: 'Nothing found',
+		graetzl: 'Neighborhoods',
+		lists: 'Lists & Walks',
+		pois: 'POIs',
+		categories: 'Categories',
+		tags: 'Tags'
+	},
+
+	// Photo galleries
+	gallery: {
+		previous: 'Previous photo',
+		next: 'Next photo'
+	},
+
+	// Preview mode
+	preview: {
+		show: 'Show drafts',
+		hide: 'Hide drafts',
+		draft: 'Draft',
+		review: 'In review'
 	},
 
 	// Language switcher
@@ -0,0 +1,55 @@
+/**
+ * Helpers for lists and walks that reference POIs by ID
+ */
+
+/**
+ * Get a short summary of every list whose stops include the POI
+ * @returns {Array} list of { id, title, showAsWalk }
+ */
+export function findReferencingLists(lists, poiId) {
+  return lists
+    .filter(list => (list.pois || []).includes(poiId))
+    .map(list => ({ id: list.id, title: list.title, showAsWalk: !!list.showAsWalk }));
+}
+
+/**
+ * Remove a POI from every list in place
+ * @returns {Array} list of { before, after } for each changed list
+ */
+export function removePOIFromLists(lists, poiId) {
+  const changes = [];
+  lists.forEach((list, index) => {
+    if (!(list.pois || []).includes(poiId)) return;
+
+    const updated = { ...list, pois: list.pois.filter(id => id !== poiId) };
+    changes.push({ before: list, after: updated });
+    lists[index] = updated;
+  });
+  return changes;
+}
+
+/**
+ * Point every list at another POI instead, in place
+ * Lists that already include the replacement keep it at its first position
+ * @returns {Array} list of { before, after } for each changed list
+ */
+export function replacePOIInLists(lists, poiId, replacementId) {
+  const changes = [];
+  lists.forEach((list, index) => {
+    if (!(list.pois || []).includes(poiId)) return;
+
+    const pois = list.pois
+      .map(id => (id === poiId ? replacementId : id))
+      .filter((id, i, all) => all.indexOf(id) === i);
+    const updated = { ...list, pois };
+    changes.push({ before: list, after: updated });
+    lists[index] = updated;
+  });
+  return changes;
+}
+
+export default {
+  findReferencingLists,
+  removePOIFromLists,
+  replacePOIInLists
+};
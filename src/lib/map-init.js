@@ -3,12 +3,19 @@
  */
 
 import geoquery from './geoquery.js';
+import { hasValidity, getValidityState } from './validity.js';
+import { viennaTime, parseLocalTime, isOpenAt, getDayHours, formatHours } from './opening-hours.js';
+import { getAttributeDefinitions, getFilterableAttributes } from './attributes.js';
+import { getPhotos, getSrcset } from './photos.js';
+import { searchIndex, searchPOIs as rankPOIs, scoreText, highlight, highlightSnippet, escapeHtml } from './search.js';
 import {
 	findGraetzlBySlug,
 	getGraetzlSlugFromPath,
 	updateUrlForGraetzl,
 	getListSlugFromPath,
 	updateUrlForList,
+	getMapStateFromUrl,
+	updateUrlForMapState,
 	nameToSlug
 } from './slug-utils.js';
 import {
@@ -29,11 +36,21 @@ window.addEventListener('load', async function() {
 		maxZoom: 19
 	}).addTo(map);
 
+	// Preview mode: logged-in CMS users can see unpublished content on the map.
+	// The CMS marks the browser, so public visitors never ask the API
+	let canPreview = false;
+	let previewMode = false;
+	if (localStorage.getItem('graetzlmap-editor') === '1') {
+		const response = await fetch('/api/auth/me').catch(() => null);
+		canPreview = !!response && response.ok;
+		previewMode = canPreview && localStorage.getItem('graetzlmap-preview') === '1';
+	}
+
 	// Load data
 	let geoData = null;
 	let graetzlData = null;
 	try {
-		geoData = await geoquery.loadGeoData();
+		geoData = await geoquery.loadGeoData({ drafts: previewMode });
 		graetzlData = await geoquery.loadGraetzlData();
 		console.log('POI data loaded:', geoData.features.length, 'features');
 		console.log('Grätzl data loaded:', graetzlData.features.length, 'features');
@@ -45,17 +62,30 @@ window.addEventListener('load', async function() {
 	// Category definitions (icons and metadata)
 	let categories = {};
 
+	// Tag definitions (multilingual names)
+	let tags = {};
+
 	let currentPolygon = null;
 	let currentMarkers = [];
 	let currentGraetzlId = null; // Track currently selected Grätzl
 	let selectedCategories = new Set(); // Track selected categories
+	let selectedTags = new Set(); // Only show POIs with all of these tags
+	let showInactive = false; // Also show upcoming and expired POIs
+	let openFilter = 'any'; // Opening hours filter: 'any', 'now' or 'at'
+	let openAtValue = ''; // datetime-local value for the 'at' filter
+	let attributeFilters = {}; // Category attribute filters, { key: value } or { key: { min, max } }
 	let walkthroughArrows = []; // Store walkthrough arrow layers
 	let currentList = null; // Track currently active list
 	let listData = []; // Store list data (includes walks with showAsWalk flag)
 	let listMarkers = []; // Store list number markers
+	let openPOIId = null; // POI whose popup is open
+	let restoringUrl = true; // URL updates are skipped while the map is restored from the URL
 
 	// References to activate functions (set by setup functions)
 	let activateListFn = null;
+	let deactivateListFn = null;
+	let rebuildCategoryFiltersFn = null;
+	let setCategoryFilterFn = null;
 
 	// Initialize language system
 	initLanguage();
@@ -68,10 +98,143 @@ window.addEventListener('load', async function() {
 		return text[lang] || text[fallbackLang] || Object.values(text)[0] || '';
 	}
 
+	// Unpublished POIs and lists only show up in preview mode, marked with their status
+	function isDraft(doc) {
+		return !!doc && !!doc.status && doc.status !== 'published';
+	}
+
+	function draftBadge(doc) {
+		return isDraft(doc) ? `<span class="draft-badge">${t(`preview.${doc.status}`)}</span>` : '';
+	}
+
+	// Format a YYYY-MM-DD date or MM-DD month-day for the current language
+	function formatDate(value) {
+		const withYear = value.length > 5;
+		const date = new Date(`${withYear ? value : `2024-${value}`}T12:00:00`);
+		return date.toLocaleDateString(getCurrentLanguage() === 'de' ? 'de-AT' : 'en-GB', {
+			day: 'numeric',
+			month: 'short',
+			...(withYear ? { year: 'numeric' } : {})
+		});
+	}
+
+	// Validity window of a seasonal or time-limited POI for its popup
+	function validityHtml(poi) {
+		if (!hasValidity(poi)) return '';
+
+		const parts = [];
+		if (poi.season) {
+			parts.push(`${t('validity.season')} ${formatDate(poi.season.from)} – ${formatDate(poi.season.to)}`);
+		}
+		if (poi.validFrom && poi.validTo) {
+			parts.push(`${formatDate(poi.validFrom)} – ${formatDate(poi.validTo)}`);
+		} else if (poi.validFrom) {
+			parts.push(`${t('validity.from')} ${formatDate(poi.validFrom)}`);
+		} else if (poi.validTo) {
+			parts.push(`${t('validity.until')} ${formatDate(poi.validTo)}`);
+		}
+
+		const state = getValidityState(poi);
+		const stateBadge = state !== 'active'
+			? `<span class="validity-badge">${t(`validity.${state}`)}</span>`
+			: '';
+		return `<div class="poi-validity">📅 ${parts.join(', ')}${stateBadge}</div>`;
+	}
+
+	// Today's opening hours with an open/closed badge, in Vienna time
+	function openingHoursHtml(poi) {
+		const now = viennaTime();
+		const spans = getDayHours(poi.opening_hours, now.day);
+		if (!spans) return '';
+
+		const hours = spans.length > 0
+			? `${t('hours.today')} ${formatHours(spans)}`
+			: t('hours.closedToday');
+		const open = isOpenAt(poi.opening_hours, now);
+		const badge = `<span class="hours-badge ${open ? 'open' : 'closed'}">${t(open ? 'hours.open' : 'hours.closed')}</span>`;
+		return `<div class="poi-hours">🕒 ${hours}${badge}</div>`;
+	}
+
+	// Swipeable photo gallery with captions and credits, arrows for mouse users
+	function galleryHtml(poi) {
+		const photos = getPhotos(poi);
+		if (photos.length === 0) return '';
+
+		const items = photos.map(photo => {
+			// Captions, credits and alt texts are free text from the CMS
+			const caption = escapeHtml(getTranslated(photo.caption));
+			const credit = photo.credit ? `<span class="poi-photo-credit">© ${escapeHtml(photo.credit)}</span>` : '';
+			// Processed uploads come in several widths, the popup is at most 300px wide
+			const webpSrcset = getSrcset(photo, 'webp');
+			const jpegSrcset = getSrcset(photo, 'jpeg');
+			const sizes = 'sizes="300px"';
+			return `
+				<figure class="poi-gallery-item">
+					<picture>
+						${webpSrcset ? `<source type="image/webp" srcset="${escapeHtml(webpSrcset)}" ${sizes} />` : ''}
+						<img src="${escapeHtml(photo.url)}" ${jpegSrcset ? `srcset="${escapeHtml(jpegSrcset)}" ${sizes}` : ''} alt="${escapeHtml(getTranslated(photo.alt) || poi.name || '')}" class="poi-photo" loading="lazy" />
+					</picture>
+					${caption || credit ? `<figcaption>${caption} ${credit}</figcaption>` : ''}
+				</figure>
+			`;
+		}).join('');
+
+		const arrows = photos.length > 1
+			? `<button type="button" class="poi-gallery-nav prev" data-step="-1" aria-label="${t('gallery.previous')}">‹</button>
+				<button type="button" class="poi-gallery-nav next" data-step="1" aria-label="${t('gallery.next')}">›</button>`
+			: '';
+		return `<div class="poi-gallery"><div class="poi-gallery-track">${items}</div>${arrows}</div>`;
+	}
+
+	// Display value of a category attribute in the current language
+	function formatAttributeValue(definition, value) {
+		switch (definition.type) {
+			case 'enum':
+				return getTranslated(definition.options?.[value]) || value;
+			case 'boolean':
+				return t(value ? 'attributes.yes' : 'attributes.no');
+			case 'text':
+				return getTranslated(value);
+			default:
+				return String(value);
+		}
+	}
+
+	// Attributes the POI's category declares, in the order they are declared
+	function attributesHtml(poi) {
+		const values = poi.attributes || {};
+		const items = Object.entries(getAttributeDefinitions(categories, poi.category))
+			.filter(([key]) => values[key] !== undefined && values[key] !== null && values[key] !== '')
+			// Labels, option names and text values are free text from the CMS
+			.map(([key, definition]) => `<div><span class="poi-attribute-label">${escapeHtml(getTranslated(definition.label))}:</span> ${escapeHtml(formatAttributeValue(definition, values[key]))}</div>`);
+		return items.length > 0 ? `<div class="poi-attributes">${items.join('')}</div>` : '';
+	}
+
+	// Render GPX/KML/GeoJSON download links for a list (static files in production)
+	function renderListExports(list) {
+		const exportsDiv = document.getElementById('poi-sidebar-exports');
+		if (!exportsDiv) return;
+
+		if (!list) {
+			exportsDiv.innerHTML = '';
+			return;
+		}
+
+		const slug = list.slug || nameToSlug(list.title);
+		const lang = getCurrentLanguage();
+		exportsDiv.innerHTML = t('sidebar.download') + ['gpx', 'kml', 'geojson']
+			.map(format => `<a href="/exports/${lang}/${slug}.${format}" download>${format.toUpperCase()}</a>`)
+			.join('');
+	}
+
 	// Function to load categories
 	async function loadCategories() {
 		try {
-			const response = await fetch('/data/categories.json');
+			// Try API first (development, any storage backend), then static file (production)
+			let response = await fetch('/api/categories').catch(() => null);
+			if (!response || !response.ok) {
+				response = await fetch('/data/categories.json');
+			}
 			if (!response.ok) {
 				throw new Error('Failed to load categories');
 			}
@@ -82,10 +245,36 @@ window.addEventListener('load', async function() {
 		}
 	}
 
+	// Function to load tags
+	async function loadTags() {
+		try {
+			let response = await fetch('/api/tags').catch(() => null);
+			if (!response || !response.ok) {
+				response = await fetch('/data/tags.json');
+			}
+			if (!response.ok) {
+				throw new Error('Failed to load tags');
+			}
+			const data = await response.json();
+			tags = data.tags;
+		} catch (error) {
+			console.error('Error loading tags:', error);
+		}
+	}
+
+	// Translated tag name, falling back to the key for unknown tags
+	function getTagName(key) {
+		return tags[key] ? getTranslated(tags[key].name) : key;
+	}
+
 	// Function to load lists
 	async function loadLists() {
 		try {
-			const response = await fetch('/api/lists');
+			// Try API first (development), then the published lists compiled for production
+			let response = await fetch(previewMode ? '/api/lists?drafts=1' : '/api/lists').catch(() => null);
+			if (!response || !response.ok) {
+				response = await fetch('/data/all-lists.json');
+			}
 			if (!response.ok) {
 				throw new Error('Failed to load lists');
 			}
@@ -133,13 +322,16 @@ window.addEventListener('load', async function() {
 	}
 
 	// Function to create custom icon
-	function createCustomIcon(category, zoom) {
+	function createCustomIcon(category, zoom, poi) {
 		const icon = getCategoryIcon(category);
 		const color = getCategoryColor(category);
 		const size = getMarkerSize(zoom || map.getZoom());
+		const classes = ['custom-icon'];
+		if (isDraft(poi)) classes.push('draft-marker');
+		if (poi && getValidityState(poi) !== 'active') classes.push('inactive-marker');
 		return L.divIcon({
-			html: `<div class="custom-marker" style="width: ${size}px; height: ${size}px; font-size: ${size * 0.7}px; line-height: ${size}px; background-color: ${color};">${icon}</div>`,
-			className: 'custom-icon',
+			html: `<div class="custom-marker" style="width: ${size}px; height: ${size}px; font-size: ${size * 0.7}px; line-height: ${size}px; background-color: ${color};">${icon}</div>${draftBadge(poi)}`,
+			className: classes.join(' '),
 			iconSize: [size, size],
 			iconAnchor: [size / 2, size],
 			popupAnchor: [0, -size]
@@ -180,39 +372,46 @@ function createCategoryFilters() {
 	const selectAllBtn = document.getElementById('select-all-categories');
 	const deselectAllBtn = document.getElementById('deselect-all-categories');
 
-	const allCategories = geoquery.getAllCategories(geoData);
+	// Create category checkboxes, keeping unchecked categories unchecked on rebuild
+	function renderCategoryCheckboxes() {
+		const unchecked = new Set(Array.from(container.querySelectorAll('input[type="checkbox"]'))
+			.filter(cb => !cb.checked)
+			.map(cb => cb.value));
+		container.innerHTML = '';
+
+		geoquery.getAllCategories(geoData).forEach(categoryId => {
+			const categoryInfo = categories[categoryId];
+			if (!categoryInfo) return;
+
+			const label = document.createElement('label');
+			label.className = 'category-filter';
+			label.dataset.categoryId = categoryId;
+			label.dataset.categoryName = getTranslated(categoryInfo.name).toLowerCase();
+
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.value = categoryId;
+			checkbox.checked = !unchecked.has(categoryId); // All selected by default
+			checkbox.addEventListener('change', () => {
+				updateCategorySelection();
+			});
 
-	// Create category checkboxes
-	allCategories.forEach(categoryId => {
-		const categoryInfo = categories[categoryId];
-		if (!categoryInfo) return;
+			const icon = document.createElement('span');
+			icon.className = 'category-icon';
+			icon.innerHTML = categoryInfo.icon || categoryInfo.emoji;
 
-		const label = document.createElement('label');
-		label.className = 'category-filter';
-		label.dataset.categoryId = categoryId;
-		label.dataset.categoryName = getTranslated(categoryInfo.name).toLowerCase();
+			const name = document.createElement('span');
+			name.className = 'category-name';
+			name.textContent = getTranslated(categoryInfo.name);
 
-		const checkbox = document.createElement('input');
-		checkbox.type = 'checkbox';
-		checkbox.value = categoryId;
-		checkbox.checked = true; // All selected by default
-		checkbox.addEventListener('change', () => {
-			updateCategorySelection();
+			label.appendChild(checkbox);
+			label.appendChild(icon);
+			label.appendChild(name);
+			container.appendChild(label);
 		});
+	}
 
-		const icon = document.createElement('span');
-		icon.className = 'category-icon';
-		icon.innerHTML = categoryInfo.icon || categoryInfo.emoji;
-
-		const name = document.createElement('span');
-		name.className = 'category-name';
-		name.textContent = getTranslated(categoryInfo.name);
-
-		label.appendChild(checkbox);
-		label.appendChild(icon);
-		label.appendChild(name);
-		container.appendChild(label);
-	});
+	renderCategoryCheckboxes();
 
 	// Update category selection and markers
 	function updateCategorySelection() {
@@ -242,6 +441,8 @@ function createCategoryFilters() {
 		}
 
 		updateMarkers();
+		renderActiveFilters();
+		syncUrl();
 	}
 
 	// Toggle dropdown
@@ -297,10 +498,165 @@ function createCategoryFilters() {
 
 	// Initial text update
 	updateCategorySelection();
+
+	rebuildCategoryFiltersFn = () => {
+		renderCategoryCheckboxes();
+		updateCategorySelection();
+	};
+
+	// Show only the given categories, or all of them for an empty list
+	setCategoryFilterFn = (categoryIds) => {
+		container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+			cb.checked = categoryIds.length === 0 || categoryIds.includes(cb.value);
+		});
+		updateCategorySelection();
+	};
 }
 
+	// Create the filter control for one category attribute
+	function createAttributeFilter(key, definition) {
+		const label = getTranslated(definition.label);
+
+		// Update the filter from a control and refresh the map
+		const setFilter = (value) => {
+			if (value === undefined) {
+				delete attributeFilters[key];
+			} else {
+				attributeFilters[key] = value;
+			}
+			updateMarkers();
+		};
+
+		if (definition.type === 'boolean') {
+			const wrapper = document.createElement('label');
+			wrapper.className = 'category-filter';
+
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.checked = attributeFilters[key] === true;
+			checkbox.addEventListener('change', () => setFilter(checkbox.checked ? true : undefined));
+
+			const name = document.createElement('span');
+			name.className = 'category-name';
+			name.textContent = label;
+
+			wrapper.appendChild(checkbox);
+			wrapper.appendChild(name);
+			return wrapper;
+		}
+
+		const wrapper = document.createElement('div');
+		wrapper.className = 'attribute-filter';
+
+		const name = document.createElement('span');
+		name.className = 'attribute-filter-label';
+		name.textContent = label;
+		wrapper.appendChild(name);
+
+		if (definition.type === 'enum') {
+			const select = document.createElement('select');
+			select.className = 'attribute-filter-input';
+			select.appendChild(new Option(t('attributes.any'), ''));
+			Object.entries(definition.options || {}).forEach(([option, optionName]) => {
+				select.appendChild(new Option(getTranslated(optionName), option));
+			});
+			select.value = attributeFilters[key] || '';
+			select.addEventListener('change', () => setFilter(select.value || undefined));
+			wrapper.appendChild(select);
+			return wrapper;
+		}
+
+		// Number attributes filter on a range, either end may be left open
+		const range = document.createElement('div');
+		range.className = 'attribute-range';
+		const current = attributeFilters[key] || {};
+		const inputs = ['min', 'max'].map(bound => {
+			const input = document.createElement('input');
+			input.type = 'number';
+			input.className = 'attribute-filter-input';
+			input.placeholder = t(`attributes.${bound}`);
+			if (definition.min !== undefined) input.min = definition.min;
+			if (definition.max !== undefined) input.max = definition.max;
+			input.value = current[bound] ?? '';
+			range.appendChild(input);
+			return [bound, input];
+		});
+		inputs.forEach(([, input]) => {
+			input.addEventListener('change', () => {
+				const value = {};
+				inputs.forEach(([bound, boundInput]) => {
+					if (boundInput.value !== '') value[bound] = Number(boundInput.value);
+				});
+				setFilter(Object.keys(value).length > 0 ? value : undefined);
+			});
+		});
+		wrapper.appendChild(range);
+		return wrapper;
+	}
+
+	// Render filters for the attributes categories declare (text attributes are left out)
+	function renderAttributeFilters() {
+		const section = document.getElementById('attribute-filter-section');
+		const container = document.getElementById('attribute-filters');
+		if (!section || !container) return;
+
+		const definitions = getFilterableAttributes(categories);
+
+		// Drop filters on attributes no category declares anymore
+		Object.keys(attributeFilters).forEach(key => {
+			if (!definitions[key]) delete attributeFilters[key];
+		});
+
+		container.innerHTML = '';
+		Object.entries(definitions).forEach(([key, definition]) => {
+			container.appendChild(createAttributeFilter(key, definition));
+		});
+		section.style.display = Object.keys(definitions).length > 0 ? 'block' : 'none';
+	}
+
+	// Reload categories and POIs after they were edited in the CMS,
+	// so marker icons, colors and the category filter match the new data
+	async function reloadCategories() {
+		try {
+			await loadCategories();
+			geoData = await geoquery.loadGeoData({ reload: true, drafts: previewMode });
+			renderAttributeFilters();
+			if (rebuildCategoryFiltersFn) {
+				rebuildCategoryFiltersFn();
+			} else {
+				updateMarkers();
+			}
+		} catch (error) {
+			console.error('Error reloading categories:', error);
+		}
+	}
+
+	// Reload tags and POIs after tags were renamed, merged or deleted in the CMS
+	async function reloadTags() {
+		try {
+			await loadTags();
+			geoData = await geoquery.loadGeoData({ reload: true, drafts: previewMode });
+			updateMarkers();
+			renderActiveFilters();
+		} catch (error) {
+			console.error('Error reloading tags:', error);
+		}
+	}
+
+	// The CMS announces category and tag changes to open map tabs
+	if ('BroadcastChannel' in window) {
+		new BroadcastChannel('graetzlmap').addEventListener('message', (event) => {
+			if (event.data?.type === 'categories-changed') {
+				reloadCategories();
+			} else if (event.data?.type === 'tags-changed') {
+				reloadTags();
+			}
+		});
+	}
+
 	// Function to show all POIs (default view)
-	function showAllPOIs() {
+	// options.fit = false keeps the current map view
+	function showAllPOIs({ fit = true } = {}) {
 		currentGraetzlId = null;
 
 		// Remove polygon if exists
@@ -310,23 +666,22 @@ function createCategoryFilters() {
 		}
 
 		// Reset to Vienna center view
-		map.setView([48.2082, 16.3738], 14); // Zoom 14 ≈ 1km radius
+		if (fit) {
+			map.setView([48.2082, 16.3738], 14); // Zoom 14 ≈ 1km radius
+		}
 
 		// Update markers based on current category filter
 		updateMarkers();
 
-		// Update search input
-		const searchInput = document.getElementById('graetzl-search');
-		searchInput.value = '';
-		searchInput.placeholder = 'Alle Grätzl werden angezeigt';
-		searchInput.dataset.selected = 'false';
 		selectedGraetzl = null;
+		renderActiveFilters();
 	}
 
 	// Function to show specific Grätzl
-	function showGraetzl(graetzlId) {
+	// options.fit = false keeps the current map view
+	function showGraetzl(graetzlId, { fit = true } = {}) {
 		if (!graetzlId) {
-			showAllPOIs();
+			showAllPOIs({ fit });
 			return;
 		}
 
@@ -356,12 +711,74 @@ function createCategoryFilters() {
 		}).addTo(map);
 
 		// Fit map to polygon bounds
-		map.fitBounds(currentPolygon.getBounds(), { padding: [50, 50] });
+		if (fit) {
+			map.fitBounds(currentPolygon.getBounds(), { padding: [50, 50] });
+		}
 
 		// Update markers (will filter by Grätzl and categories)
 		updateMarkers();
 
-		// Dropdown is updated by selectGraetzl function
+		// Filter chips are updated by selectGraetzl function
+	}
+
+	// Popup content of a POI
+	function poiPopupHtml(poiFeature) {
+		const poi = poiFeature.properties;
+		const coords = geoquery.featureToLeafletCoords(poiFeature);
+		const icon = getCategoryIcon(poi.category);
+
+		const googleMapsUrl = `https://www.google.com/maps/dir/?api=1&destination=${coords[0]},${coords[1]}`;
+		const learnMoreLink = poi.link ? `<a href="${poi.link}" target="_blank" class="poi-link">Website →</a>` : '';
+
+		// Get category info
+		const categoryInfo = categories[poi.category];
+		const categoryName = categoryInfo ? `${categoryInfo.emoji} ${getTranslated(categoryInfo.name)}` : '';
+
+		// Format tags if available
+		const tags = poi.tags || [];
+		const tagsHtml = tags.length > 0
+			? `<div class="poi-tags">${tags.map(tag => `<span class="poi-tag">${getTagName(tag)}</span>`).join('')}</div>`
+			: '';
+
+		// Format photo gallery if available
+		const photoHtml = galleryHtml(poi);
+
+		return `
+			<div class="poi-popup">
+				<div class="poi-icon">${icon}</div>
+				<h3>${poi.name}${draftBadge(poi)}</h3>
+				${categoryName ? `<div class="poi-category-label">${categoryName}</div>` : ''}
+				${photoHtml}
+				<p>${getTranslated(poi.description)}</p>
+				${validityHtml(poi)}
+				${openingHoursHtml(poi)}
+				${attributesHtml(poi)}
+				${tagsHtml}
+				<div class="poi-actions">
+					${learnMoreLink}
+					<a href="${googleMapsUrl}" target="_blank" class="poi-link poi-link-secondary">Route</a>
+				</div>
+			</div>
+		`;
+	}
+
+	// Open the popup of a POI whose marker the filters hide, e.g. from a shared link
+	function openHiddenPOIPopup(poiFeature) {
+		const poiId = poiFeature.properties.id;
+		L.popup({ maxWidth: 300, className: 'custom-popup' })
+			.setLatLng(geoquery.featureToLeafletCoords(poiFeature))
+			.setContent(poiPopupHtml(poiFeature))
+			.on('add', () => {
+				openPOIId = poiId;
+				syncUrl({ replace: true });
+			})
+			.on('remove', () => {
+				if (openPOIId === poiId) {
+					openPOIId = null;
+					syncUrl({ replace: true });
+				}
+			})
+			.openOn(map);
 	}
 
 	// Function to update markers based on filters
@@ -387,8 +804,18 @@ function createCategoryFilters() {
 			if (selectedCategories.size > 0) {
 				filters.categories = Array.from(selectedCategories);
 			}
+			if (selectedTags.size > 0) {
+				filters.tags = Array.from(selectedTags);
+			}
+			filters.includeInactive = showInactive;
+			if (openFilter === 'now') {
+				filters.openAt = viennaTime();
+			} else if (openFilter === 'at' && openAtValue) {
+				filters.openAt = parseLocalTime(openAtValue);
+			}
+			filters.attributes = attributeFilters;
 
-			// Get filtered POIs using spatial query
+			// Get filtered POIs
 			poiFeatures = geoquery.filterPOIsWithGraetzl(geoData, graetzlData, filters);
 		}
 
@@ -396,15 +823,16 @@ function createCategoryFilters() {
 		poiFeatures.forEach(poiFeature => {
 			const poi = poiFeature.properties;
 			const coords = geoquery.featureToLeafletCoords(poiFeature);
-			const icon = getCategoryIcon(poi.category);
 
 			const marker = L.marker(coords, {
-				icon: createCustomIcon(poi.category, map.getZoom())
+				icon: createCustomIcon(poi.category, map.getZoom(), poi)
 			}).addTo(map);
 
 			// Store POI ID on marker for later reference
 			marker.poiId = poi.id;
 
+			trackPopup(marker, poi.id);
+
 			// Add tooltip with POI name
 			marker.bindTooltip(poi.name, {
 				direction: 'top',
@@ -412,41 +840,7 @@ function createCategoryFilters() {
 				opacity: 0.9
 			});
 
-			// Create popup content
-			const googleMapsUrl = `https://www.google.com/maps/dir/?api=1&destination=${coords[0]},${coords[1]}`;
-			const learnMoreLink = poi.link ? `<a href="${poi.link}" target="_blank" class="poi-link">Website →</a>` : '';
-
-			// Get category info
-			const categoryInfo = categories[poi.category];
-			const categoryName = categoryInfo ? `${categoryInfo.emoji} ${getTranslated(categoryInfo.name)}` : '';
-
-			// Format tags if available
-			const tags = poi.tags || [];
-			const tagsHtml = tags.length > 0
-				? `<div class="poi-tags">${tags.map(tag => `<span class="poi-tag">${tag}</span>`).join('')}</div>`
-				: '';
-
-			// Format photo if available
-			const photoHtml = poi.photo
-				? `<img src="${poi.photo}" alt="${poi.name}" class="poi-photo" />`
-				: '';
-
-			const popupContent = `
-				<div class="poi-popup">
-					<div class="poi-icon">${icon}</div>
-					<h3>${poi.name}</h3>
-					${categoryName ? `<div class="poi-category-label">${categoryName}</div>` : ''}
-					${photoHtml}
-					<p>${getTranslated(poi.description)}</p>
-					${tagsHtml}
-					<div class="poi-actions">
-						${learnMoreLink}
-						<a href="${googleMapsUrl}" target="_blank" class="poi-link poi-link-secondary">Route</a>
-					</div>
-				</div>
-			`;
-
-			marker.bindPopup(popupContent, {
+			marker.bindPopup(poiPopupHtml(poiFeature), {
 				maxWidth: 300,
 				className: 'custom-popup'
 			});
@@ -455,11 +849,26 @@ function createCategoryFilters() {
 		});
 	}
 
-	// Dropdown interactions are handled in populateGraetzlDropdown()
-
 	// Update marker sizes when zoom changes
 	map.on('zoomend', updateMarkerSizes);
 
+	// Keep zoom and center in the URL, without adding a history entry for every move
+	map.on('moveend', () => syncUrl({ replace: true }));
+
+	// Keep the POI of an open popup in the URL
+	function trackPopup(marker, poiId) {
+		marker.on('popupopen', () => {
+			openPOIId = poiId;
+			syncUrl({ replace: true });
+		});
+		marker.on('popupclose', () => {
+			if (openPOIId === poiId) {
+				openPOIId = null;
+				syncUrl({ replace: true });
+			}
+		});
+	}
+
 	// Handle map clicks to activate Grätzl
 	map.on('click', (e) => {
 		// Convert Leaflet coords [lat, lng] to GeoJSON [lng, lat]
@@ -474,178 +883,144 @@ function createCategoryFilters() {
 		}
 	});
 
-	// Searchable dropdown state
-	let allGraetzls = [];
+	// Currently selected Grätzl feature
 	let selectedGraetzl = null;
-	let focusedIndex = -1;
 
-	// Function to update clear button visibility
-	function updateClearButton() {
-		const searchInput = document.getElementById('graetzl-search');
-		const clearButton = document.getElementById('clear-graetzl');
+	// options.fit = false keeps the current map view
+	function selectGraetzl(graetzl, { fit = true } = {}) {
+		// Update URL first, so moving the map updates the new history entry
+		if (!restoringUrl) {
+			updateUrlForGraetzl(graetzl);
+		}
 
-		// Show button if there's text or a selection
-		if (searchInput.value || searchInput.dataset.selected === 'true') {
-			clearButton.style.display = 'flex';
+		if (graetzl) {
+			selectedGraetzl = graetzl;
+			showGraetzl(graetzl.properties.Graetzl_ID.toString(), { fit });
 		} else {
-			clearButton.style.display = 'none';
+			showAllPOIs({ fit });
 		}
-	}
 
-	// Function to populate Grätzl dropdown
-	function populateGraetzlDropdown() {
-		const dropdown = document.getElementById('graetzl-dropdown');
-		const searchInput = document.getElementById('graetzl-search');
-		const clearButton = document.getElementById('clear-graetzl');
-		allGraetzls = geoquery.getGraetzlFeatures(graetzlData);
-
-		// Filter to only show active Grätzl
-		allGraetzls = allGraetzls.filter(g => g.properties.active === 1);
-
-		// Sort by name
-		allGraetzls.sort((a, b) =>
-			a.properties.Graetzl_Name.localeCompare(b.properties.Graetzl_Name, 'de')
-		);
-
-		// Add "Alle anzeigen" option
-		const allOption = document.createElement('div');
-		allOption.className = 'graetzl-option';
-		allOption.dataset.id = '';
-		allOption.dataset.name = 'Alle anzeigen';
-		allOption.textContent = 'Alle anzeigen';
-		allOption.addEventListener('click', () => selectGraetzl(null));
-		dropdown.appendChild(allOption);
-
-		// Add all Grätzl options
-		allGraetzls.forEach(graetzl => {
-			const option = document.createElement('div');
-			option.className = 'graetzl-option';
-			option.dataset.id = graetzl.properties.Graetzl_ID;
-			option.dataset.name = graetzl.properties.Graetzl_Name;
-			option.textContent = graetzl.properties.Graetzl_Name;
-			option.addEventListener('click', () => selectGraetzl(graetzl));
-			dropdown.appendChild(option);
-		});
+		renderActiveFilters();
+	}
 
-		// Clear button functionality
-		clearButton.addEventListener('click', () => {
-			selectGraetzl(null);
-		});
+	// Write category and tag filters, the open POI and the map view into the URL query and hash
+	function syncUrl({ replace = false } = {}) {
+		if (restoringUrl) return;
+
+		const center = map.getCenter();
+		updateUrlForMapState({
+			categories: Array.from(selectedCategories),
+			tags: Array.from(selectedTags),
+			poi: openPOIId,
+			view: { zoom: map.getZoom(), lat: center.lat, lng: center.lng }
+		}, { replace });
+	}
 
-		// Search functionality
-		searchInput.addEventListener('input', (e) => {
-			focusedIndex = -1; // Reset focus when typing
-			filterDropdown(e.target.value);
-			updateClearButton();
-		});
+	// Restore Grätzl or list, filters, open POI and map view from the URL, on load and on back/forward
+	function restoreFromUrl() {
+		const state = getMapStateFromUrl();
+		const graetzlSlug = getGraetzlSlugFromPath();
+		const listSlug = getListSlugFromPath();
+		// A view in the URL wins over fitting the map to the Grätzl or list
+		const fit = !state.view;
+		restoringUrl = true;
+
+		// Find list by slug, or generate slug from title if missing
+		const list = listSlug ? listData.find(l => (l.slug || nameToSlug(l.title)) === listSlug) : null;
+		if (listSlug && !list) {
+			console.warn('List not found for slug:', listSlug);
+		}
+		const graetzl = graetzlSlug ? findGraetzlBySlug(graetzlData, graetzlSlug) : null;
+		if (graetzlSlug && !graetzl) {
+			console.warn('Grätzl not found for slug:', graetzlSlug);
+		}
 
-		// Show dropdown on focus
-		searchInput.addEventListener('focus', () => {
-			// Clear input if showing default state
-			if (searchInput.dataset.selected === 'false' || !searchInput.dataset.selected) {
-				searchInput.value = '';
-			} else if (selectedGraetzl) {
-				// Select the text if a Grätzl is selected
-				searchInput.select();
-			}
-			filterDropdown(searchInput.value);
-			dropdown.style.display = 'block';
-		});
+		selectedTags.clear();
+		state.tags.forEach(key => selectedTags.add(key));
+		if (setCategoryFilterFn) {
+			setCategoryFilterFn(state.categories.filter(categoryId => categories[categoryId]));
+		}
 
-		// Keyboard navigation
-		searchInput.addEventListener('keydown', (e) => {
-			const options = Array.from(dropdown.querySelectorAll('.graetzl-option:not([style*="display: none"])'));
+		selectGraetzl(graetzl, { fit: fit && !list });
+		if (list) {
+			if (activateListFn) activateListFn(list.id, { fit });
+		} else if (currentList && deactivateListFn) {
+			deactivateListFn();
+		}
 
-			if (e.key === 'ArrowDown') {
-				e.preventDefault();
-				focusedIndex = Math.min(focusedIndex + 1, options.length - 1);
-				updateFocusedOption(options);
-			} else if (e.key === 'ArrowUp') {
-				e.preventDefault();
-				focusedIndex = Math.max(focusedIndex - 1, -1);
-				updateFocusedOption(options);
-			} else if (e.key === 'Enter') {
-				e.preventDefault();
-				if (focusedIndex >= 0 && options[focusedIndex]) {
-					options[focusedIndex].click();
-				}
-			} else if (e.key === 'Escape') {
-				dropdown.style.display = 'none';
-				searchInput.blur();
-			}
-		});
+		// Open the popup before setting the view, which stops the popup from panning the map
+		map.closePopup();
+		openPOIId = null;
+		// The POI may be hidden by the restored filters or only be part of a list, so look it up among all POIs
+		const poiFeature = state.poi ? geoData.features.find(f => f.properties.id === state.poi) : null;
+		if (state.poi && !poiFeature) {
+			console.warn('POI not found for id:', state.poi);
+		}
+		const marker = poiFeature ? currentMarkers.find(m => m.poiId === state.poi) : null;
+		if (marker) {
+			marker.openPopup();
+		} else if (poiFeature) {
+			openHiddenPOIPopup(poiFeature);
+		}
+		if (state.view) {
+			map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+		}
 
-		// Close dropdown when clicking outside
-		document.addEventListener('click', (e) => {
-			if (!e.target.closest('.searchable-select')) {
-				dropdown.style.display = 'none';
-			}
-		});
+		restoringUrl = false;
 
-		console.log('Populated dropdown with', allGraetzls.length, 'Grätzl');
+		// Drop a POI that no longer exists from the URL
+		if (state.poi && !poiFeature) {
+			syncUrl({ replace: true });
+		}
 	}
 
-	function filterDropdown(searchTerm) {
-		const dropdown = document.getElementById('graetzl-dropdown');
-		const options = dropdown.querySelectorAll('.graetzl-option');
-		const term = searchTerm.toLowerCase();
-
-		let visibleCount = 0;
-		options.forEach(option => {
-			const name = option.dataset.name.toLowerCase();
-			if (name.includes(term)) {
-				option.style.display = 'block';
-				visibleCount++;
-			} else {
-				option.style.display = 'none';
-			}
-		});
+	// Show the active Grätzl, list, categories and tags as chips below the search box,
+	// clicking a chip removes it
+	function renderActiveFilters() {
+		const container = document.getElementById('active-filters');
+		if (!container) return;
 
-		// Show/hide dropdown based on visible options
-		if (visibleCount > 0) {
-			dropdown.style.display = 'block';
-		} else {
-			dropdown.style.display = 'none';
+		const chips = [];
+		if (selectedGraetzl) {
+			chips.push({ type: 'graetzl', label: `📍 ${selectedGraetzl.properties.Graetzl_Name}` });
 		}
-	}
-
-	function updateFocusedOption(options) {
-		options.forEach((opt, idx) => {
-			if (idx === focusedIndex) {
-				opt.classList.add('focused');
-				opt.scrollIntoView({ block: 'nearest' });
-			} else {
-				opt.classList.remove('focused');
-			}
+		if (currentList) {
+			const prefix = currentList.showAsWalk ? '🚶 ' : '📋 ';
+			chips.push({ type: 'list', label: prefix + getTranslated(currentList.title) });
+		}
+		selectedCategories.forEach(categoryId => {
+			const category = categories[categoryId];
+			const label = category ? `${category.emoji} ${getTranslated(category.name)}` : categoryId;
+			chips.push({ type: 'category', id: categoryId, label });
+		});
+		selectedTags.forEach(key => {
+			chips.push({ type: 'tag', id: key, label: `# ${getTagName(key)}` });
 		});
-	}
-
-	function selectGraetzl(graetzl) {
-		const searchInput = document.getElementById('graetzl-search');
-		const dropdown = document.getElementById('graetzl-dropdown');
-
-		if (graetzl) {
-			selectedGraetzl = graetzl;
-			searchInput.value = graetzl.properties.Graetzl_Name;
-			searchInput.dataset.selected = 'true';
-			showGraetzl(graetzl.properties.Graetzl_ID.toString());
 
-			// Update URL
-			updateUrlForGraetzl(graetzl);
-		} else {
-			selectedGraetzl = null;
-			searchInput.value = '';
-			searchInput.placeholder = 'Alle Grätzl werden angezeigt';
-			searchInput.dataset.selected = 'false';
-			showAllPOIs();
+		container.innerHTML = chips.map(chip => `
+			<button type="button" class="filter-chip" data-type="${chip.type}" data-id="${chip.id || ''}" title="${t('button.clearSelection')}">
+				<span class="filter-chip-label">${chip.label}</span>
+				<span class="filter-chip-remove">×</span>
+			</button>
+		`).join('');
+		container.style.display = chips.length > 0 ? 'flex' : 'none';
+	}
 
-			// Update URL to root
-			updateUrlForGraetzl(null);
+	function removeActiveFilter(type, id) {
+		if (type === 'graetzl') {
+			selectGraetzl(null);
+		} else if (type === 'list') {
+			if (deactivateListFn) deactivateListFn();
+		} else if (type === 'category') {
+			if (setCategoryFilterFn) {
+				setCategoryFilterFn(Array.from(selectedCategories).filter(categoryId => categoryId !== id));
+			}
+		} else if (type === 'tag') {
+			selectedTags.delete(id);
+			updateMarkers();
+			renderActiveFilters();
+			syncUrl();
 		}
-
-		dropdown.style.display = 'none';
-		focusedIndex = -1;
-		updateClearButton();
 	}
 
 	// Initialize: load categories and show all POIs or selected Grätzl from URL
@@ -655,160 +1030,236 @@ function createCategoryFilters() {
 			await loadCategories();
 			console.log('Categories loaded:', Object.keys(categories).length);
 
+			await loadTags();
+
 			console.log('Loading lists and walks...');
 			await loadLists();
 
-			// Populate Grätzl dropdown
-			populateGraetzlDropdown();
-
 			// Create category filter UI
 			createCategoryFilters();
+			renderAttributeFilters();
 
-			// Setup list selector (now handles both lists and walks)
-			setupListSelector();
+			// Setup list sidebar (handles both lists and walks)
+			setupLists();
 
 			// Ensure sidebar is hidden by default
 			document.querySelector('.container').classList.remove('sidebar-active');
 
-			// Check URL for Grätzl or List
-			const graetzlSlug = getGraetzlSlugFromPath();
-			const listSlug = getListSlugFromPath();
-
-			// Check for /l/ (list/walk) URL
-			if (listSlug) {
-				console.log('List slug from URL:', listSlug);
-				// Find list by slug, or generate slug from title if missing
-				const list = listData.find(l => {
-					const slug = l.slug || nameToSlug(l.title);
-					return slug === listSlug;
-				});
-				if (list) {
-					console.log('Found List:', list);
-					// Wait for next tick to ensure everything is ready
-					requestAnimationFrame(() => {
-						requestAnimationFrame(() => {
-							console.log('Activating list with', list.pois.length, 'POIs');
-							if (activateListFn) {
-								activateListFn(list.id);
-							}
-						});
-					});
-				} else {
-					console.warn('List not found for slug:', listSlug);
-					showAllPOIs();
-				}
-			} else if (graetzlSlug) {
-				console.log('Grätzl slug from URL:', graetzlSlug);
-				const graetzl = findGraetzlBySlug(graetzlData, graetzlSlug);
-				if (graetzl) {
-					console.log('Found Grätzl:', graetzl.properties.Graetzl_Name);
-					selectGraetzl(graetzl);
-				} else {
-					console.warn('Grätzl not found for slug:', graetzlSlug);
-					showAllPOIs();
-				}
-			} else {
-				console.log('Showing all POIs...');
-				showAllPOIs();
-			}
+			// Restore Grätzl or list, filters, open POI and map view from the URL
+			// Wait for next tick to ensure everything is ready
+			requestAnimationFrame(() => {
+				requestAnimationFrame(restoreFromUrl);
+			});
 		} catch (error) {
 			console.error('Initialization error:', error);
 		}
 	}
 
-	// POI Search functionality
-	function setupPOISearch() {
-		const searchInput = document.getElementById('poi-search');
-		const dropdown = document.getElementById('poi-dropdown');
-		const clearButton = document.getElementById('clear-poi');
+	// Search box for everything on the map: Grätzl, lists and walks, POIs, categories and tags.
+	// Results are grouped by type; picking one selects the Grätzl, activates the list,
+	// centers the map on the POI or filters the map by the category or tag
+	function setupOmnibox() {
+		const searchInput = document.getElementById('omnibox');
+		const dropdown = document.getElementById('omnibox-results');
+		const clearButton = document.getElementById('clear-omnibox');
+		const activeFilters = document.getElementById('active-filters');
 
 		if (!searchInput || !dropdown) return;
 
+		// Results shown per group
+		const groupLimits = { graetzl: 5, lists: 5, pois: 8, categories: 4, tags: 5 };
+
 		let searchTimeout;
-		let selectedPOI = null;
 		let focusedIndex = -1;
+		let results = []; // { type, item } of every option, in the order shown
 
 		// Update clear button visibility
 		function updateClearButton() {
-			if (searchInput.value || searchInput.dataset.selected === 'true') {
-				clearButton.style.display = 'flex';
-			} else {
-				clearButton.style.display = 'none';
+			clearButton.style.display = searchInput.value ? 'flex' : 'none';
+		}
+
+		// Items whose name matches the search term, best match first
+		function rankByName(items, getName, searchTerm, limit) {
+			return items
+				.map(item => ({ item, name: getName(item), score: scoreText(getName(item), searchTerm) }))
+				.filter(result => result.score !== null)
+				.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name, 'de'))
+				.slice(0, limit)
+				.map(result => result.item);
+		}
+
+		function getGraetzls() {
+			return geoquery.getGraetzlFeatures(graetzlData).filter(g => g.properties.active === 1);
+		}
+
+		// Tags used by the POIs on the map, with the number of POIs using them
+		function getTagCounts() {
+			const counts = new Map();
+			geoData.features.forEach(poi => {
+				(poi.properties.tags || []).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+			});
+			return counts;
+		}
+
+		// Search POIs by name, descriptions, tags and categories, best match first
+		// Uses the prebuilt index of the current language; drafts in preview mode and
+		// development without a compiled index are searched directly
+		async function findPOIs(searchTerm) {
+			const lang = getCurrentLanguage();
+			const index = previewMode ? null : await geoquery.loadSearchIndex(lang);
+			if (index) {
+				const poisById = new Map(geoData.features.map(poi => [poi.properties.id, poi]));
+				return searchIndex(index, searchTerm)
+					.map(result => ({ ...result, poi: poisById.get(result.id) }))
+					.filter(result => result.poi)
+					.slice(0, groupLimits.pois);
 			}
+			return rankPOIs(geoData.features, searchTerm, { categories, tags, lang, limit: groupLimits.pois });
 		}
 
-		// Search and filter POIs
-		function searchPOIs(searchTerm) {
+		async function search(searchTerm) {
 			if (!searchTerm) {
-				dropdown.style.display = 'none';
+				showSuggestions();
 				return;
 			}
 
-			const results = geoData.features.filter(poi => {
-				const name = (poi.properties.name || '').toLowerCase();
-				const description = getTranslated(poi.properties.description).toLowerCase();
-				return name.includes(searchTerm) || description.includes(searchTerm);
-			});
-
-			displaySearchResults(results);
+			const pois = await findPOIs(searchTerm);
+
+			// The input may have changed while the index was loading
+			if (searchInput.value.trim() !== searchTerm) return;
+
+			const tagCounts = getTagCounts();
+			renderResults([
+				{ type: 'graetzl', items: rankByName(getGraetzls(), g => g.properties.Graetzl_Name, searchTerm, groupLimits.graetzl) },
+				{ type: 'lists', items: rankByName(listData, list => getTranslated(list.title), searchTerm, groupLimits.lists) },
+				{ type: 'pois', items: pois },
+				{
+					type: 'categories',
+					items: rankByName(
+						geoquery.getAllCategories(geoData).filter(categoryId => categories[categoryId]),
+						categoryId => getTranslated(categories[categoryId].name),
+						searchTerm,
+						groupLimits.categories
+					)
+				},
+				{ type: 'tags', items: rankByName([...tagCounts.keys()], getTagName, searchTerm, groupLimits.tags) }
+			], searchTerm, tagCounts);
 		}
 
-		function displaySearchResults(results) {
-			if (results.length === 0) {
-				dropdown.innerHTML = '<div class="graetzl-option">Keine POIs gefunden</div>';
-				dropdown.style.display = 'block';
+		// Without a search term, offer the lists and walks
+		function showSuggestions() {
+			if (listData.length === 0) {
+				dropdown.style.display = 'none';
 				return;
 			}
+			renderResults([{ type: 'lists', items: listData }], '');
+		}
 
-			dropdown.innerHTML = results.slice(0, 10).map(poi => {
-				const category = categories[poi.properties.category];
-				const categoryLabel = category ? `${category.emoji} ${getTranslated(category.name)}` : poi.properties.category;
+		// Text of the field that matched best, shown below the name
+		function matchedText(poi, field) {
+			if (field === 'description') {
+				const description = poi.properties.description;
+				if (typeof description !== 'object' || !description) return description || '';
+				// Prefer the current language, but show the other one when only that matches
+				return [getTranslated(description), ...Object.values(description)].find(text => text) || '';
+			}
+			if (field === 'tags') {
+				return (poi.properties.tags || []).map(getTagName).join(', ');
+			}
+			return '';
+		}
 
+		function optionHtml(type, item, searchTerm, tagCounts) {
+			if (type === 'graetzl') {
+				return `<div class="poi-result-name">📍 ${highlight(item.properties.Graetzl_Name, searchTerm)}</div>`;
+			}
+			if (type === 'lists') {
+				const prefix = item.showAsWalk ? '🚶 ' : '📋 ';
+				return `<div class="poi-result-name">${prefix}${highlight(getTranslated(item.title), searchTerm)}${draftBadge(item)}</div>`;
+			}
+			if (type === 'pois') {
+				const { poi, field } = item;
+				const category = categories[poi.properties.category];
+				const categoryName = category ? getTranslated(category.name) : poi.properties.category;
+				const categoryLabel = `${category ? category.emoji + ' ' : ''}${highlight(categoryName, searchTerm)}`;
+				const snippet = matchedText(poi, field);
 				return `
-					<div class="graetzl-option" data-poi-id="${poi.properties.id}" data-name="${poi.properties.name}">
-						<div style="font-weight: 600;">${poi.properties.name}</div>
-						<div style="font-size: 0.85rem; color: #666; margin-top: 2px;">${categoryLabel}</div>
-					</div>
+					<div class="poi-result-name">${highlight(poi.properties.name, searchTerm)}${draftBadge(poi.properties)}</div>
+					<div class="poi-result-meta">${categoryLabel}</div>
+					${snippet ? `<div class="poi-result-snippet">${highlightSnippet(snippet, searchTerm)}</div>` : ''}
 				`;
-			}).join('');
-
-			// Add click handlers
-			dropdown.querySelectorAll('.graetzl-option').forEach(option => {
-				option.addEventListener('click', () => {
-					const poiId = option.dataset.poiId;
-					const poi = geoData.features.find(p => p.properties.id === poiId);
-					if (poi) {
-						selectPOI(poi);
-					}
-				});
-			});
-
-			dropdown.style.display = 'block';
+			}
+			if (type === 'categories') {
+				const category = categories[item];
+				return `<div class="poi-result-name">${category.emoji} ${highlight(getTranslated(category.name), searchTerm)}</div>`;
+			}
+			return `
+				<div class="poi-result-name"># ${highlight(getTagName(item), searchTerm)}</div>
+				<div class="poi-result-meta">${tagCounts.get(item)} POIs</div>
+			`;
 		}
 
-		function selectPOI(poi) {
-			selectedPOI = poi;
-			searchInput.value = poi.properties.name;
-			searchInput.dataset.selected = 'true';
-			dropdown.style.display = 'none';
+		function renderResults(groups, searchTerm, tagCounts) {
+			results = [];
 			focusedIndex = -1;
-			updateClearButton();
-			centerOnPOI(poi);
+
+			const html = groups
+				.filter(group => group.items.length > 0)
+				.map(group => {
+					const options = group.items.map(item => {
+						results.push({ type: group.type, item });
+						return `<div class="graetzl-option omnibox-option" data-index="${results.length - 1}">${optionHtml(group.type, item, searchTerm, tagCounts)}</div>`;
+					}).join('');
+					return `<div class="omnibox-group"><div class="omnibox-group-title">${t(`search.${group.type}`)}</div>${options}</div>`;
+				})
+				.join('');
+
+			dropdown.innerHTML = html || `<div class="omnibox-empty">${t('search.noResults')}</div>`;
+			dropdown.style.display = 'block';
 		}
 
-		function clearSelection() {
-			selectedPOI = null;
+		// Route a picked result to the matching map action
+		function pick({ type, item }) {
+			if (type === 'graetzl') {
+				selectGraetzl(item);
+			} else if (type === 'lists') {
+				if (activateListFn) activateListFn(item.id);
+			} else if (type === 'pois') {
+				centerOnPOI(item.poi);
+			} else {
+				// Filters don't apply while a list is shown
+				if (currentList && deactivateListFn) deactivateListFn();
+				if (type === 'categories') {
+					if (setCategoryFilterFn) setCategoryFilterFn([...selectedCategories, item]);
+				} else {
+					selectedTags.add(item);
+					updateMarkers();
+					renderActiveFilters();
+					syncUrl();
+				}
+			}
+
 			searchInput.value = '';
-			searchInput.dataset.selected = 'false';
 			dropdown.style.display = 'none';
 			focusedIndex = -1;
 			updateClearButton();
+			searchInput.blur();
+		}
+
+		function updateFocusedOption(options) {
+			options.forEach((opt, idx) => {
+				if (idx === focusedIndex) {
+					opt.classList.add('focused');
+					opt.scrollIntoView({ block: 'nearest' });
+				} else {
+					opt.classList.remove('focused');
+				}
+			});
 		}
 
 		// Search input handler
 		searchInput.addEventListener('input', (e) => {
-			const searchTerm = e.target.value.trim().toLowerCase();
-			searchInput.dataset.selected = 'false';
+			const searchTerm = e.target.value.trim();
 			focusedIndex = -1;
 
 			// Clear previous timeout
@@ -816,26 +1267,23 @@ function createCategoryFilters() {
 
 			// Debounce search
 			searchTimeout = setTimeout(() => {
-				searchPOIs(searchTerm);
+				search(searchTerm);
 			}, 200);
 
 			updateClearButton();
 		});
 
-		// Show dropdown on focus
+		// Show results on focus, and start loading the search index
 		searchInput.addEventListener('focus', () => {
-			if (searchInput.dataset.selected === 'true' && selectedPOI) {
-				searchInput.select();
-			}
-			const searchTerm = searchInput.value.trim().toLowerCase();
-			if (searchTerm) {
-				searchPOIs(searchTerm);
+			if (!previewMode) {
+				geoquery.loadSearchIndex(getCurrentLanguage());
 			}
+			search(searchInput.value.trim());
 		});
 
-		// Keyboard navigation
+		// Keyboard navigation across all groups, Enter picks the focused or else the first result
 		searchInput.addEventListener('keydown', (e) => {
-			const options = Array.from(dropdown.querySelectorAll('.graetzl-option'));
+			const options = Array.from(dropdown.querySelectorAll('.omnibox-option'));
 
 			if (e.key === 'ArrowDown') {
 				e.preventDefault();
@@ -847,8 +1295,9 @@ function createCategoryFilters() {
 				updateFocusedOption(options);
 			} else if (e.key === 'Enter') {
 				e.preventDefault();
-				if (focusedIndex >= 0 && options[focusedIndex]) {
-					options[focusedIndex].click();
+				const option = options[Math.max(focusedIndex, 0)];
+				if (option && dropdown.style.display === 'block') {
+					pick(results[Number(option.dataset.index)]);
 				}
 			} else if (e.key === 'Escape') {
 				dropdown.style.display = 'none';
@@ -856,20 +1305,30 @@ function createCategoryFilters() {
 			}
 		});
 
-		function updateFocusedOption(options) {
-			options.forEach((opt, idx) => {
-				if (idx === focusedIndex) {
-					opt.classList.add('focused');
-					opt.scrollIntoView({ block: 'nearest' });
-				} else {
-					opt.classList.remove('focused');
+		dropdown.addEventListener('click', (e) => {
+			const option = e.target.closest('.omnibox-option');
+			if (option) {
+				pick(results[Number(option.dataset.index)]);
+			}
+		});
+
+		// Clear button
+		clearButton.addEventListener('click', () => {
+			searchInput.value = '';
+			updateClearButton();
+			searchInput.focus();
+		});
+
+		// Remove a filter by clicking its chip
+		if (activeFilters) {
+			activeFilters.addEventListener('click', (e) => {
+				const chip = e.target.closest('.filter-chip');
+				if (chip) {
+					removeActiveFilter(chip.dataset.type, chip.dataset.id);
 				}
 			});
 		}
 
-		// Clear button
-		clearButton.addEventListener('click', clearSelection);
-
 		// Close dropdown when clicking outside
 		document.addEventListener('click', (e) => {
 			if (!e.target.closest('.searchable-select')) {
@@ -987,7 +1446,7 @@ function createCategoryFilters() {
 						border: 2px solid white;
 						box-shadow: 0 2px 4px rgba(0,0,0,0.3);
 						cursor: pointer;
-					">${index + 1}</div>`,
+					">${index + 1}</div>${draftBadge(poi?.properties)}`,
 					className: 'walkthrough-number',
 					iconSize: [24, 24],
 					iconAnchor: [12, 6]
@@ -1014,19 +1473,20 @@ function createCategoryFilters() {
 				const categoryName = categoryInfo ? `${categoryInfo.emoji} ${getTranslated(categoryInfo.name)}` : '';
 				const tags = poi.properties.tags || [];
 				const tagsHtml = tags.length > 0
-					? `<div class="poi-tags">${tags.map(tag => `<span class="poi-tag">${tag}</span>`).join('')}</div>`
-					: '';
-				const photoHtml = poi.properties.photo
-					? `<img src="${poi.properties.photo}" alt="${poi.properties.name}" class="poi-photo" />`
+					? `<div class="poi-tags">${tags.map(tag => `<span class="poi-tag">${getTagName(tag)}</span>`).join('')}</div>`
 					: '';
+				const photoHtml = galleryHtml(poi.properties);
 
 				const popupContent = `
 					<div class="poi-popup">
 						<div class="poi-icon">${icon}</div>
-						<h3>${poi.properties.name}</h3>
+						<h3>${poi.properties.name}${draftBadge(poi.properties)}</h3>
 						${categoryName ? `<div class="poi-category-label">${categoryName}</div>` : ''}
 						${photoHtml}
 						<p>${getTranslated(poi.properties.description)}</p>
+						${validityHtml(poi.properties)}
+						${openingHoursHtml(poi.properties)}
+						${attributesHtml(poi.properties)}
 						${tagsHtml}
 						<div class="poi-actions">
 							${learnMoreLink}
@@ -1039,6 +1499,7 @@ function createCategoryFilters() {
 					maxWidth: 300,
 					className: 'custom-popup'
 				});
+				trackPopup(numberMarker, poiId);
 
 				// Add click handler to open popup
 				numberMarker.on('click', () => {
@@ -1096,7 +1557,7 @@ function createCategoryFilters() {
 						border: 2px solid white;
 						box-shadow: 0 2px 4px rgba(0,0,0,0.3);
 						cursor: pointer;
-					">${index + 1}</div>`,
+					">${index + 1}</div>${draftBadge(poi?.properties)}`,
 					className: 'list-number',
 					iconSize: [24, 24],
 					iconAnchor: [12, 14]
@@ -1123,19 +1584,20 @@ function createCategoryFilters() {
 				const categoryName = categoryInfo ? `${categoryInfo.emoji} ${getTranslated(categoryInfo.name)}` : '';
 				const tags = poi.properties.tags || [];
 				const tagsHtml = tags.length > 0
-					? `<div class="poi-tags">${tags.map(tag => `<span class="poi-tag">${tag}</span>`).join('')}</div>`
-					: '';
-				const photoHtml = poi.properties.photo
-					? `<img src="${poi.properties.photo}" alt="${poi.properties.name}" class="poi-photo" />`
+					? `<div class="poi-tags">${tags.map(tag => `<span class="poi-tag">${getTagName(tag)}</span>`).join('')}</div>`
 					: '';
+				const photoHtml = galleryHtml(poi.properties);
 
 				const popupContent = `
 					<div class="poi-popup">
 						<div class="poi-icon">${icon}</div>
-						<h3>${poi.properties.name}</h3>
+						<h3>${poi.properties.name}${draftBadge(poi.properties)}</h3>
 						${categoryName ? `<div class="poi-category-label">${categoryName}</div>` : ''}
 						${photoHtml}
 						<p>${getTranslated(poi.properties.description)}</p>
+						${validityHtml(poi.properties)}
+						${openingHoursHtml(poi.properties)}
+						${attributesHtml(poi.properties)}
 						${tagsHtml}
 						<div class="poi-actions">
 							${learnMoreLink}
@@ -1148,6 +1610,7 @@ function createCategoryFilters() {
 					maxWidth: 300,
 					className: 'custom-popup'
 				});
+				trackPopup(numberMarker, poiId);
 
 				// Add click handler to open popup
 				numberMarker.on('click', () => {
@@ -1188,11 +1651,8 @@ function createCategoryFilters() {
 		}
 	}
 
-	// List selector functionality
-	function setupListSelector() {
-		const searchInput = document.getElementById('list-search');
-		const dropdown = document.getElementById('list-dropdown');
-		const clearButton = document.getElementById('clear-list');
+	// Lists and walks: sidebar, numbered markers and walk arrows
+	function setupLists() {
 		const sidebarDiv = document.getElementById('poi-sidebar');
 		const sidebarTitle = document.getElementById('poi-sidebar-title');
 		const sidebarDescription = document.getElementById('poi-sidebar-description');
@@ -1201,164 +1661,19 @@ function createCategoryFilters() {
 		const categoryToggle = document.getElementById('category-toggle');
 		const categoryDropdown = document.getElementById('category-dropdown');
 
-		if (!searchInput || !dropdown || !sidebarDiv) {
+		if (!sidebarDiv) {
 			console.warn('List UI elements not found');
 			return;
 		}
 
-		let selectedList = null;
-		let focusedListIndex = -1;
-
-		// Update clear button visibility
-		function updateClearButtonList() {
-			if (searchInput.value || searchInput.dataset.selected === 'true') {
-				clearButton.style.display = 'flex';
-			} else {
-				clearButton.style.display = 'none';
-			}
-		}
-
-		// Populate list dropdown
-		function populateLists() {
-			dropdown.innerHTML = '';
-
-			// Add "Keine Liste" option
-			const noneOption = document.createElement('div');
-			noneOption.className = 'graetzl-option';
-			noneOption.dataset.id = '';
-			noneOption.dataset.name = 'Keine Liste';
-			noneOption.textContent = 'Keine Liste';
-			noneOption.addEventListener('click', () => selectList(null));
-			dropdown.appendChild(noneOption);
-
-			// Add all list options
-			listData.forEach(list => {
-				const option = document.createElement('div');
-				option.className = 'graetzl-option';
-				option.dataset.id = list.id;
-				const prefix = list.showAsWalk ? '🚶 ' : '📋 ';
-				const title = getTranslated(list.title);
-				option.dataset.name = title;
-				option.textContent = prefix + title;
-				option.addEventListener('click', () => selectList(list));
-				dropdown.appendChild(option);
-			});
-		}
-
-		// Filter dropdown based on search
-		function filterListDropdown(searchTerm) {
-			const options = dropdown.querySelectorAll('.graetzl-option');
-			const term = searchTerm.toLowerCase();
-
-			let visibleCount = 0;
-			options.forEach(option => {
-				const name = option.dataset.name.toLowerCase();
-				if (name.includes(term)) {
-					option.style.display = 'block';
-					visibleCount++;
-				} else {
-					option.style.display = 'none';
-				}
-			});
-
-			if (visibleCount > 0) {
-				dropdown.style.display = 'block';
-			} else {
-				dropdown.style.display = 'none';
-			}
-		}
-
-		// Update focused option
-		function updateFocusedListOption(options) {
-			options.forEach((opt, idx) => {
-				if (idx === focusedListIndex) {
-					opt.classList.add('focused');
-					opt.scrollIntoView({ block: 'nearest' });
-				} else {
-					opt.classList.remove('focused');
-				}
-			});
-		}
-
-		// Select a list
-		function selectList(list) {
-			if (list) {
-				selectedList = list;
-				const prefix = list.showAsWalk ? '🚶 ' : '📋 ';
-				searchInput.value = prefix + getTranslated(list.title);
-				searchInput.dataset.selected = 'true';
-				activateList(list.id);
-			} else {
-				selectedList = null;
-				searchInput.value = '';
-				searchInput.placeholder = 'Keine Liste ausgewählt';
-				searchInput.dataset.selected = 'false';
-				deactivateList();
-			}
-
-			dropdown.style.display = 'none';
-			focusedListIndex = -1;
-			updateClearButtonList();
-		}
-
-		// Search input handlers
-		searchInput.addEventListener('input', (e) => {
-			focusedListIndex = -1;
-			filterListDropdown(e.target.value);
-			updateClearButtonList();
-		});
-
-		searchInput.addEventListener('focus', () => {
-			if (searchInput.dataset.selected === 'false' || !searchInput.dataset.selected) {
-				searchInput.value = '';
-			} else if (selectedList) {
-				searchInput.select();
-			}
-			filterListDropdown(searchInput.value);
-			dropdown.style.display = 'block';
-		});
-
-		// Keyboard navigation
-		searchInput.addEventListener('keydown', (e) => {
-			const options = Array.from(dropdown.querySelectorAll('.graetzl-option:not([style*="display: none"])'));
-
-			if (e.key === 'ArrowDown') {
-				e.preventDefault();
-				focusedListIndex = Math.min(focusedListIndex + 1, options.length - 1);
-				updateFocusedListOption(options);
-			} else if (e.key === 'ArrowUp') {
-				e.preventDefault();
-				focusedListIndex = Math.max(focusedListIndex - 1, -1);
-				updateFocusedListOption(options);
-			} else if (e.key === 'Enter') {
-				e.preventDefault();
-				if (focusedListIndex >= 0 && options[focusedListIndex]) {
-					options[focusedListIndex].click();
-				}
-			} else if (e.key === 'Escape') {
-				dropdown.style.display = 'none';
-				searchInput.blur();
-			}
-		});
-
-		// Clear button
-		clearButton.addEventListener('click', () => {
-			selectList(null);
-		});
-
-		// Close dropdown when clicking outside
-		document.addEventListener('click', (e) => {
-			if (!e.target.closest('.searchable-select') || e.target.closest('#graetzl-search')) {
-				dropdown.style.display = 'none';
-			}
-		});
-
 		// Update sidebar with list POIs
 		function updateSidebar(list) {
 			sidebarTitle.textContent = getTranslated(list.title);
+			sidebarTitle.insertAdjacentHTML('beforeend', draftBadge(list));
 			const description = getTranslated(list.description);
 			sidebarDescription.textContent = description;
 			sidebarDescription.style.display = description ? 'block' : 'none';
+			renderListExports(list);
 			sidebarItems.innerHTML = '';
 
 			list.pois.forEach((poiId, index) => {
@@ -1375,7 +1690,7 @@ function createCategoryFilters() {
 				item.innerHTML = `
 					<div class="list-item-number">${index + 1}</div>
 					<div class="list-item-content">
-						<div class="list-item-name">${categoryIcon} ${poi.properties.name}</div>
+						<div class="list-item-name">${categoryIcon} ${poi.properties.name}${draftBadge(poi.properties)}</div>
 						${description ? `<div class="list-item-description">${description}</div>` : ''}
 						${poi.properties.link ? `<a href="${poi.properties.link}" target="_blank" class="list-item-link">Webseite</a>` : ''}
 						${poi.properties.instagram ? `<a href="${poi.properties.instagram}" target="_blank" class="list-item-link">Instagram</a>` : ''}
@@ -1434,7 +1749,8 @@ function createCategoryFilters() {
 		}
 
 		// Activate list
-		function activateList(listId) {
+		// options.fit = false keeps the current map view
+		function activateList(listId, { fit = true } = {}) {
 			console.log('=== Activating list ===');
 			console.log('List ID:', listId);
 			console.log('Available lists:', listData.length);
@@ -1453,6 +1769,11 @@ function createCategoryFilters() {
 			console.log('Found list:', getTranslated(list.title), 'POIs:', list.pois.length, 'showAsWalk:', list.showAsWalk);
 			currentList = list;
 
+			// Update URL first, so moving the map updates the new history entry
+			if (!restoringUrl) {
+				updateUrlForList(list);
+			}
+
 			// Show sidebar
 			updateSidebar(list);
 			document.querySelector('.container').classList.add('sidebar-active');
@@ -1473,7 +1794,9 @@ function createCategoryFilters() {
 			updateMarkers();
 
 			// Zoom map to fit all list POIs
-			zoomToListPOIs(list.pois);
+			if (fit) {
+				zoomToListPOIs(list.pois);
+			}
 
 			// Draw arrows if showAsWalk is true, otherwise just numbers
 			if (list.showAsWalk) {
@@ -1482,8 +1805,7 @@ function createCategoryFilters() {
 				drawListNumbers(list.pois);
 			}
 
-			// Update URL
-			updateUrlForList(list);
+			renderActiveFilters();
 
 			console.log('List activated:', list.title, 'showAsWalk:', list.showAsWalk);
 		}
@@ -1493,6 +1815,11 @@ function createCategoryFilters() {
 			console.log('=== Deactivating list ===');
 			currentList = null;
 
+			// Update URL (go back to root)
+			if (!restoringUrl) {
+				updateUrlForList(null);
+			}
+
 			// Hide sidebar
 			document.querySelector('.container').classList.remove('sidebar-active');
 
@@ -1503,6 +1830,7 @@ function createCategoryFilters() {
 				sidebarDescription.style.display = 'none';
 			}
 			if (sidebarItems) sidebarItems.innerHTML = '';
+			renderListExports(null);
 
 			// Re-enable category filter toggle
 			if (categoryToggle) {
@@ -1517,9 +1845,7 @@ function createCategoryFilters() {
 
 			// Update markers to show filtered POIs
 			updateMarkers();
-
-			// Update URL (go back to root)
-			updateUrlForList(null);
+			renderActiveFilters();
 
 			console.log('List deactivated');
 		}
@@ -1531,28 +1857,18 @@ function createCategoryFilters() {
 			});
 		}
 
-		// Initial population
-		populateLists();
-
-		// Store reference to activate function for URL initialization
+		// Store references for URL initialization, the search box and filter chips
 		activateListFn = activateList;
+		deactivateListFn = deactivateList;
 	}
 
-	// Handle browser back/forward buttons
-	window.addEventListener('popstate', (event) => {
-		const graetzlSlug = getGraetzlSlugFromPath();
-		if (graetzlSlug) {
-			const graetzl = findGraetzlBySlug(graetzlData, graetzlSlug);
-			if (graetzl) {
-				selectGraetzl(graetzl);
-			}
-		} else {
-			selectGraetzl(null);
-		}
+	// Handle browser back/forward buttons: Grätzl, list, filters, open POI and map view
+	window.addEventListener('popstate', () => {
+		restoreFromUrl();
 	});
 
-	// Setup POI search
-	setupPOISearch();
+	// Setup the search box
+	setupOmnibox();
 
 	// Function to update all UI text based on current language
 	function updateUILanguage() {
@@ -1566,8 +1882,10 @@ function createCategoryFilters() {
 		const navSections = {
 			'list-select': { parent: 'h2', text: t('nav.list') },
 			'walkthrough-select': { parent: 'h2', text: t('nav.walkthrough') },
-			'graetzl-search': { parent: 'h2', text: t('nav.selectGraetzl') },
-			'poi-search': { parent: 'h2', text: t('nav.searchPOI') }
+			'omnibox': { parent: 'h2', text: t('nav.search') },
+			'show-inactive': { parent: 'h2', text: t('nav.validity') },
+			'open-filter-any': { parent: 'h2', text: t('nav.openingHours') },
+			'attribute-filters': { parent: 'h2', text: t('nav.attributes') }
 		};
 
 		Object.entries(navSections).forEach(([id, config]) => {
@@ -1581,19 +1899,9 @@ function createCategoryFilters() {
 		});
 
 		// Placeholders
-		const listSearch = document.getElementById('list-search');
-		if (listSearch && !listSearch.dataset.selected) {
-			listSearch.placeholder = t('placeholder.noList');
-		}
-
-		const graetzlSearch = document.getElementById('graetzl-search');
-		if (graetzlSearch) {
-			graetzlSearch.placeholder = t('placeholder.allGraetzl');
-		}
-
-		const poiSearch = document.getElementById('poi-search');
-		if (poiSearch) {
-			poiSearch.placeholder = t('placeholder.searchPOI');
+		const omnibox = document.getElementById('omnibox');
+		if (omnibox) {
+			omnibox.placeholder = t('placeholder.search');
 		}
 
 		const categorySearch = document.getElementById('category-search');
@@ -1628,46 +1936,46 @@ function createCategoryFilters() {
 			langSwitcherText.textContent = getCurrentLanguage() === 'de' ? 'EN' : 'DE';
 		}
 
-		// Update list/walk dropdown
-		const listSearchEl = document.getElementById('list-search');
-		const listDropdownEl = document.getElementById('list-dropdown');
-		if (listSearchEl && listDropdownEl && listData.length > 0) {
-			const currentSelected = currentList;
-
-			// Re-populate dropdown with translated titles
-			listDropdownEl.innerHTML = '';
+		// Validity toggle
+		const showInactiveLabel = document.getElementById('show-inactive-label');
+		if (showInactiveLabel) {
+			showInactiveLabel.textContent = t('validity.showInactive');
+		}
 
-			const noneOption = document.createElement('div');
-			noneOption.className = 'graetzl-option';
-			noneOption.textContent = t('placeholder.noList');
-			listDropdownEl.appendChild(noneOption);
+		// Opening hours filter
+		const openFilterLabels = { any: 'hours.any', now: 'hours.openNow', at: 'hours.openAt' };
+		Object.entries(openFilterLabels).forEach(([value, key]) => {
+			const label = document.getElementById(`open-filter-${value}-label`);
+			if (label) {
+				label.textContent = t(key);
+			}
+		});
 
-			listData.forEach(list => {
-				const option = document.createElement('div');
-				option.className = 'graetzl-option';
-				const prefix = list.showAsWalk ? '🚶 ' : '📋 ';
-				option.textContent = prefix + getTranslated(list.title);
-				listDropdownEl.appendChild(option);
-			});
+		// Attribute filters carry translated labels
+		renderAttributeFilters();
 
-			// Update current selection if active
-			if (currentSelected) {
-				const prefix = currentSelected.showAsWalk ? '🚶 ' : '📋 ';
-				listSearchEl.value = prefix + getTranslated(currentSelected.title);
-			}
+		// Preview toggle
+		const previewToggle = document.getElementById('preview-toggle');
+		if (previewToggle) {
+			previewToggle.textContent = t(previewMode ? 'preview.hide' : 'preview.show');
 		}
 
+		// Filter chips carry translated names
+		renderActiveFilters();
+
 		// Update sidebar if active
 		if (currentList) {
 			const sidebarTitle = document.getElementById('poi-sidebar-title');
 			const sidebarDescription = document.getElementById('poi-sidebar-description');
 			if (sidebarTitle) {
 				sidebarTitle.textContent = getTranslated(currentList.title);
+				sidebarTitle.insertAdjacentHTML('beforeend', draftBadge(currentList));
 			}
 			if (sidebarDescription) {
 				const description = getTranslated(currentList.description);
 				sidebarDescription.textContent = description;
 			}
+			renderListExports(currentList);
 		}
 	}
 
@@ -1696,7 +2004,77 @@ function createCategoryFilters() {
 		});
 	}
 
+	// Setup the toggle for upcoming and expired POIs
+	function setupValidityToggle() {
+		const checkbox = document.getElementById('show-inactive');
+		if (!checkbox) return;
+
+		checkbox.checked = showInactive;
+		checkbox.addEventListener('change', () => {
+			showInactive = checkbox.checked;
+			updateMarkers();
+		});
+	}
+
+	// Gallery arrows scroll popup galleries by one photo
+	function setupGalleryNavigation() {
+		document.addEventListener('click', (e) => {
+			const button = e.target.closest('.poi-gallery-nav');
+			if (!button) return;
+
+			const track = button.closest('.poi-gallery').querySelector('.poi-gallery-track');
+			track.scrollBy({ left: Number(button.dataset.step) * track.clientWidth, behavior: 'smooth' });
+		});
+	}
+
+	// Setup the opening hours filter: all places, open now or open at a chosen time
+	function setupOpenFilter() {
+		const radios = document.querySelectorAll('input[name="open-filter"]');
+		const openAtInput = document.getElementById('open-at');
+		if (radios.length === 0 || !openAtInput) return;
+
+		radios.forEach(radio => {
+			radio.addEventListener('change', () => {
+				openFilter = radio.value;
+				openAtInput.style.display = openFilter === 'at' ? 'block' : 'none';
+				if (openFilter === 'at' && !openAtInput.value) {
+					// Start from the current time in Vienna (Swedish format is ISO 8601)
+					openAtInput.value = new Date()
+						.toLocaleString('sv-SE', { timeZone: 'Europe/Vienna' })
+						.slice(0, 16)
+						.replace(' ', 'T');
+					openAtValue = openAtInput.value;
+				}
+				updateMarkers();
+			});
+		});
+
+		openAtInput.addEventListener('change', () => {
+			openAtValue = openAtInput.value;
+			updateMarkers();
+		});
+	}
+
+	// Setup preview toggle, only for logged-in CMS users
+	function setupPreviewToggle() {
+		const previewToggle = document.getElementById('preview-toggle');
+		if (!previewToggle || !canPreview) return;
+
+		previewToggle.hidden = false;
+		previewToggle.classList.toggle('active', previewMode);
+
+		// Reload so every view starts from the same data
+		previewToggle.addEventListener('click', () => {
+			localStorage.setItem('graetzlmap-preview', previewMode ? '0' : '1');
+			window.location.reload();
+		});
+	}
+
 	// Setup language system
+	setupValidityToggle();
+	setupOpenFilter();
+	setupGalleryNavigation();
+	setupPreviewToggle();
 	setupLanguageSwitcher();
 	updateUILanguage();
 
@@ -0,0 +1,107 @@
+/**
+ * Media library: uploaded files and the POIs that use them
+ * One upload is stored as several files (poi_<timestamp>-<width>.jpg / .webp),
+ * so files are grouped by the name they share and a group counts as used
+ * when any of its files is referenced. POIs in the trash and the revision history
+ * of every POI still count as users, since they can be restored
+ */
+
+import { getPhotos } from './photos.js';
+
+/**
+ * Group key of an uploaded file: its name without width suffix and extension
+ */
+export function uploadKey(filename) {
+  return filename.replace(/(-\d+)?\.[^.]+$/, '');
+}
+
+// Every upload URL a POI refers to
+function poiUploadUrls(poi) {
+  const urls = new Set();
+  getPhotos(poi.properties).forEach(photo => {
+    urls.add(photo.url);
+    (photo.variants || []).forEach(variant => urls.add(variant.url));
+  });
+  return [...urls].filter(url => typeof url === 'string' && url.startsWith('/uploads/'));
+}
+
+/**
+ * Map upload group keys to the POIs using them
+ * A POI is listed once per upload: as trashed when only its trashed version uses it,
+ * as revision when only older revisions do
+ * @returns {Map} key -> [{ id, name, trashed, revision }]
+ */
+export async function findUploadReferences(storage) {
+  const references = new Map();
+  const addPOI = (poi, trashed, revision) => {
+    const keys = new Set(poiUploadUrls(poi).map(url => uploadKey(url.slice('/uploads/'.length))));
+    keys.forEach(key => {
+      if (!references.has(key)) references.set(key, []);
+      const users = references.get(key);
+      if (users.some(user => user.id === poi.properties.id)) return;
+      users.push({ id: poi.properties.id, name: poi.properties.name, trashed, revision });
+    });
+  };
+
+  (await storage.listPOIs()).forEach(poi => addPOI(poi, false, false));
+  (await storage.listTrashedPOIs()).forEach(entry => addPOI(entry.poi, true, false));
+  for (const id of await storage.listRevisionIds('pois')) {
+    (await storage.listRevisions('pois', id))
+      .filter(revision => revision.snapshot?.properties)
+      .forEach(revision => addPOI(revision.snapshot, false, true));
+  }
+  return references;
+}
+
+/**
+ * List uploads grouped by upload, newest first
+ * @returns {Array} [{ key, files, size, modifiedAt, preview, usedBy }]
+ *   preview is the smallest JPEG (or any file) for thumbnails
+ */
+export async function getMediaLibrary(storage) {
+  const [files, references] = await Promise.all([storage.listUploads(), findUploadReferences(storage)]);
+
+  const groups = new Map();
+  files.forEach(file => {
+    const key = uploadKey(file.filename);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  });
+
+  return [...groups.entries()]
+    .map(([key, groupFiles]) => {
+      // Smallest width first
+      groupFiles.sort((a, b) => a.filename.localeCompare(b.filename, undefined, { numeric: true }));
+      const images = groupFiles.filter(file => /\.(jpe?g|png|gif|webp)$/i.test(file.filename));
+      const preview = images.find(file => /\.jpe?g$/i.test(file.filename)) || images[0] || groupFiles[0];
+      return {
+        key,
+        files: groupFiles,
+        size: groupFiles.reduce((sum, file) => sum + file.size, 0),
+        modifiedAt: groupFiles.map(file => file.modifiedAt).sort().pop(),
+        preview: preview.url,
+        usedBy: references.get(key) || []
+      };
+    })
+    .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+/**
+ * Delete every file of an upload group
+ * @returns {Number} number of files deleted
+ */
+export async function deleteUploadGroup(storage, key) {
+  const files = (await storage.listUploads()).filter(file => uploadKey(file.filename) === key);
+  let deleted = 0;
+  for (const file of files) {
+    if (await storage.deleteUpload(file.filename)) deleted++;
+  }
+  return deleted;
+}
+
+export default {
+  uploadKey,
+  findUploadReferences,
+  getMediaLibrary,
+  deleteUploadGroup
+};
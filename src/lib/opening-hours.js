@@ -0,0 +1,213 @@
+/**
+ * Opening hours in OpenStreetMap opening_hours syntax
+ * Supports the common subset: "24/7", weekday selectors (Mo-Fr, Sa,Su),
+ * time spans (08:00-12:00,13:00-18:00, 22:00-02:00 past midnight) and "off" / "closed",
+ * with rules separated by ";" where later rules replace earlier ones for their days.
+ * Public holiday rules (PH) are accepted but not evaluated, there is no holiday calendar.
+ * Times are wall-clock times in Vienna, wherever the map is viewed from
+ */
+
+export const DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+const DAY_MINUTES = 24 * 60;
+const TIME_SPAN_PATTERN = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/;
+
+function parseDays(selector) {
+  const days = new Set();
+  let holidays = false;
+
+  selector.split(',').forEach(part => {
+    if (part === 'PH') {
+      holidays = true;
+      return;
+    }
+
+    const [first, last = first] = part.split('-');
+    const from = DAYS.indexOf(first);
+    const to = DAYS.indexOf(last);
+    if (from === -1 || to === -1) {
+      throw new Error(`Unknown weekday "${part}", use ${DAYS.join(', ')}`);
+    }
+
+    // Ranges may wrap around the week, e.g. Sa-Mo
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  });
+
+  return { days, holidays };
+}
+
+function parseTimeSpan(span) {
+  const match = span.match(TIME_SPAN_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid time span "${span}", use a form like 08:00-18:00`);
+  }
+
+  const [, fromHours, fromMinutes, toHours, toMinutes] = match.map(Number);
+  if (fromHours > 23 || fromMinutes > 59 || toHours > 48 || toMinutes > 59) {
+    throw new Error(`Invalid time in "${span}"`);
+  }
+
+  const start = fromHours * 60 + fromMinutes;
+  let end = toHours * 60 + toMinutes;
+  if (end === start) {
+    throw new Error(`Time span "${span}" must not start and end at the same time`);
+  }
+  // An end before the start runs past midnight
+  if (end < start) end += DAY_MINUTES;
+  return [start, end];
+}
+
+function parseRule(rule) {
+  if (rule === '24/7') {
+    return { days: new Set(DAYS.keys()), holidays: false, spans: [[0, DAY_MINUTES]] };
+  }
+
+  const tokens = rule.split(/\s+/);
+  let selector = { days: new Set(DAYS.keys()), holidays: false };
+  if (/^(?:[A-Z][a-z]|PH)(?:[-,]|$)/.test(tokens[0])) {
+    selector = parseDays(tokens.shift());
+  }
+
+  // Time spans may be listed with or without spaces after the commas
+  const rest = tokens.join('');
+  if (!rest) {
+    throw new Error(`Rule "${rule}" needs opening times or "off"`);
+  }
+
+  const spans = rest === 'off' || rest === 'closed'
+    ? []
+    : rest.split(',').map(parseTimeSpan);
+
+  return { ...selector, spans };
+}
+
+/**
+ * Parse an opening_hours value into a week of time spans
+ * @returns {Array} seven arrays (Monday first) of [start, end] minutes after midnight,
+ *   an end beyond 1440 runs into the next day
+ * @throws {Error} with a readable message when the value can't be parsed
+ */
+export function parseOpeningHours(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('Opening hours must not be empty');
+  }
+
+  const week = DAYS.map(() => []);
+  value.split(';').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+    const { days, holidays, spans } = parseRule(rule);
+    // PH-only rules have nothing to apply without a holiday calendar
+    if (holidays && days.size === 0) return;
+    days.forEach(day => { week[day] = spans; });
+  });
+
+  return week;
+}
+
+/**
+ * Check an opening_hours value
+ * @returns {String|null} error message, null if valid
+ */
+export function validateOpeningHours(value) {
+  try {
+    parseOpeningHours(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function parseOrNull(value) {
+  try {
+    return parseOpeningHours(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the weekday (0 = Monday) and minutes after midnight in Vienna for a moment
+ */
+export function viennaTime(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: 'Europe/Vienna',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    day: DAYS.indexOf(parts.weekday.slice(0, 2)),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Read a datetime-local value like "2025-06-14T18:30" as Vienna wall-clock time
+ * @returns {Object|null} { day, minutes } as returned by viennaTime
+ */
+export function parseLocalTime(value) {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, date, hours, minutes] = match.map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+  return { day: (weekday + 6) % 7, minutes: hours * 60 + minutes };
+}
+
+/**
+ * Check whether a place is open at a Vienna time, { day, minutes }
+ * Spans from the day before that run past midnight count too.
+ * Missing or invalid opening hours count as closed
+ */
+export function isOpenAt(value, time = viennaTime()) {
+  const week = parseOrNull(value);
+  if (!week) return false;
+
+  const { day, minutes } = time;
+  const previous = week[(day + 6) % 7];
+  return week[day].some(([start, end]) => minutes >= start && minutes < end)
+    || previous.some(([, end]) => minutes + DAY_MINUTES < end);
+}
+
+/**
+ * Get the time spans of one weekday (0 = Monday), null for missing or invalid opening hours
+ */
+export function getDayHours(value, day = viennaTime().day) {
+  const week = parseOrNull(value);
+  return week ? week[day] : null;
+}
+
+// Ends past midnight wrap to the next day, an end at exactly midnight stays 24:00
+function formatMinutes(minutes) {
+  const hours = minutes === DAY_MINUTES ? 24 : Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format time spans for display, e.g. "08:00–12:00, 13:00–18:00", or "" when closed
+ */
+export function formatHours(spans) {
+  return spans
+    .map(([start, end]) => end - start >= DAY_MINUTES
+      ? '00:00–24:00'
+      : `${formatMinutes(start)}–${formatMinutes(end)}`)
+    .join(', ');
+}
+
+export default {
+  DAYS,
+  parseOpeningHours,
+  validateOpeningHours,
+  viennaTime,
+  parseLocalTime,
+  isOpenAt,
+  getDayHours,
+  formatHours
+};
@@ -0,0 +1,41 @@
+/**
+ * POI photo galleries
+ * properties.photos is an ordered list of { url, variants, alt, caption, credit } where alt and caption
+ * are multilingual like descriptions and credit names the photographer.
+ * Uploaded photos list their responsive sizes in variants, [{ url, width, format }].
+ * POIs saved before galleries existed have a single photo URL instead
+ */
+
+/**
+ * Get the photos of a POI, reading a single legacy photo as a one-photo gallery
+ */
+export function getPhotos(props) {
+  if (Array.isArray(props.photos)) return props.photos;
+  return props.photo ? [{ url: props.photo }] : [];
+}
+
+/**
+ * Build a srcset attribute value from the variants of a photo in one format ("jpeg" or "webp")
+ * @returns {String} e.g. "/uploads/a-480.webp 480w, /uploads/a-960.webp 960w", empty without variants
+ */
+export function getSrcset(photo, format) {
+  return (photo.variants || [])
+    .filter(variant => variant.format === format)
+    .map(variant => `${variant.url} ${variant.width}w`)
+    .join(', ');
+}
+
+/**
+ * Return a copy of POI properties with the legacy photo moved into photos
+ */
+export function withPhotos(props) {
+  const { photo, ...rest } = props;
+  const photos = getPhotos(props);
+  return photos.length > 0 ? { ...rest, photos } : rest;
+}
+
+export default {
+  getPhotos,
+  getSrcset,
+  withPhotos
+};
@@ -0,0 +1,272 @@
+/**
+ * Shared POI write paths for the API routes
+ * POST /api/pois and the bulk import create POIs the same way,
+ * category and tag renames and merges move POIs the same way,
+ * duplicate merges move list references the same way,
+ * and every POI write keeps the tag counts in tags.json up to date
+ */
+
+import { validatePOI, keepValidAttributes } from './schema.js';
+import { recordRevision } from './revisions.js';
+import { mergeProperties } from './duplicates.js';
+import { assignGraetzl } from './graetzl-assignment.js';
+import { findReferencingLists, replacePOIInLists } from './list-references.js';
+import { StorageConflictError } from './storage/errors.js';
+
+/**
+ * Load the categories and tags a POI is validated against
+ */
+export async function loadValidationContext(storage) {
+  return {
+    categories: (await storage.readData('categories')).categories,
+    tags: (await storage.readData('tags')).tags
+  };
+}
+
+/**
+ * Generate a unique POI ID based on timestamp and random string
+ */
+export function generatePOIId() {
+  return `poi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Validate and save a new POI with its Grätzl, recording its first revision
+ * @param {Object} storage - storage backend
+ * @param {Object} poi - POI feature without ID
+ * @param {Object} options - { author, context } where context comes from loadValidationContext
+ * @returns {Object} { errors } when invalid, otherwise { id, poi }
+ */
+export async function createPOI(storage, poi, { author, context } = {}) {
+  const errors = validatePOI(poi, context || await loadValidationContext(storage));
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const id = generatePOIId();
+  poi = assignGraetzl(poi);
+  poi.properties.id = id;
+
+  // New POIs always start as drafts, publishing goes through the review workflow
+  poi.properties.status = 'draft';
+
+  await storage.savePOI(poi);
+  await recordRevision(storage, 'pois', id, { action: 'create', author, after: poi });
+  await updateTagCounts(storage, [], poi.properties.tags);
+
+  return { id, poi };
+}
+
+/**
+ * Set a POI's category, keeping only the attribute values that category declares
+ */
+function withCategory(poi, category, definitions) {
+  const properties = { ...poi.properties, category };
+  const attributes = keepValidAttributes(properties.attributes, definitions);
+  if (attributes) {
+    properties.attributes = attributes;
+  } else {
+    delete properties.attributes;
+  }
+  return { ...poi, properties };
+}
+
+/**
+ * Move every POI from one category key to another, recording a revision for each
+ * Attribute values the target category doesn't declare are dropped
+ * @returns {Number} number of POIs moved
+ */
+export async function reassignCategory(storage, from, to, { author } = {}) {
+  const pois = await storage.listPOIs();
+  const definitions = (await storage.readData('categories')).categories[to]?.attributes;
+  let moved = 0;
+
+  for (const poi of pois.filter(p => p.properties.category === from)) {
+    let previous = null;
+    const saved = await storage.updatePOI(poi.properties.id, current => {
+      if (!current || current.properties.category !== from) return null;
+      previous = current;
+      return withCategory(current, to, definitions);
+    });
+
+    if (saved) {
+      moved++;
+      await recordRevision(storage, 'pois', poi.properties.id, { action: 'update', author, before: previous, after: saved });
+    }
+  }
+
+  return moved;
+}
+
+/**
+ * Drop the attribute values of a category's POIs that its changed attribute schema
+ * no longer allows (removed attributes, enum options or narrower number ranges),
+ * recording a revision for each changed POI
+ * @returns {Number} number of POIs changed
+ */
+export async function pruneCategoryAttributes(storage, category, { author } = {}) {
+  const pois = await storage.listPOIs();
+  const definitions = (await storage.readData('categories')).categories[category]?.attributes;
+  let pruned = 0;
+
+  for (const poi of pois.filter(p => p.properties.category === category && p.properties.attributes)) {
+    let previous = null;
+    const saved = await storage.updatePOI(poi.properties.id, current => {
+      if (!current || current.properties.category !== category) return null;
+      const updated = withCategory(current, category, definitions);
+      if (JSON.stringify(updated.properties.attributes) === JSON.stringify(current.properties.attributes)) return null;
+      previous = current;
+      return updated;
+    });
+
+    if (saved) {
+      pruned++;
+      await recordRevision(storage, 'pois', poi.properties.id, { action: 'update', author, before: previous, after: saved });
+    }
+  }
+
+  return pruned;
+}
+
+/**
+ * Adjust tag counts for a POI whose tags changed from before to after
+ * Pass an empty array as before for new POIs and as after for deleted ones
+ */
+export async function updateTagCounts(storage, before = [], after = []) {
+  const delta = {};
+  (before || []).forEach(tag => { delta[tag] = (delta[tag] || 0) - 1; });
+  (after || []).forEach(tag => { delta[tag] = (delta[tag] || 0) + 1; });
+
+  const changed = Object.keys(delta).filter(tag => delta[tag] !== 0);
+  if (changed.length === 0) return;
+
+  await storage.updateData('tags', data => {
+    changed.forEach(tag => {
+      // Unknown tags have no entry to count on
+      if (!data.tags[tag]) return;
+      data.tags[tag].count = Math.max(0, (data.tags[tag].count || 0) + delta[tag]);
+    });
+    return true;
+  });
+}
+
+/**
+ * Recompute every tag count from the stored POIs
+ * @returns {Object} tag key -> number of POIs using it
+ */
+export async function recountTags(storage) {
+  const counts = {};
+  (await storage.listPOIs()).forEach(poi => {
+    new Set(poi.properties.tags || []).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+
+  await storage.updateData('tags', data => {
+    Object.entries(data.tags).forEach(([key, tag]) => {
+      tag.count = counts[key] || 0;
+    });
+    return true;
+  });
+
+  return counts;
+}
+
+/**
+ * Replace a tag key in every POI, recording a revision for each
+ * A null target removes the tag instead; tag counts are not touched, call recountTags afterwards
+ * @returns {Number} number of POIs changed
+ */
+export async function replaceTag(storage, from, to, { author } = {}) {
+  const pois = await storage.listPOIs();
+  let changed = 0;
+
+  for (const poi of pois.filter(p => (p.properties.tags || []).includes(from))) {
+    let previous = null;
+    const saved = await storage.updatePOI(poi.properties.id, current => {
+      if (!current || !(current.properties.tags || []).includes(from)) return null;
+      previous = current;
+      const tags = current.properties.tags
+        .map(tag => (tag === from ? to : tag))
+        .filter((tag, i, all) => tag && all.indexOf(tag) === i);
+      return { ...current, properties: { ...current.properties, tags } };
+    });
+
+    if (saved) {
+      changed++;
+      await recordRevision(storage, 'pois', poi.properties.id, { action: 'update', author, before: previous, after: saved });
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Merge a duplicate POI into another one
+ * The kept POI takes over missing fields, tags and photos of the duplicate and its place in every list,
+ * then the duplicate moves to the trash, so no list ever points at a trashed POI.
+ * Revisions are recorded for every changed POI and list
+ * @returns {Object} { errors } when the merged POI is invalid, null when a POI is missing,
+ *   otherwise { poi, lists } with the IDs of the lists that now point at the kept POI
+ */
+export async function mergePOIs(storage, duplicateId, keptId, { author, context } = {}) {
+  const duplicate = await storage.getPOI(duplicateId);
+  const kept = await storage.getPOI(keptId);
+  if (!duplicate || !kept) return null;
+
+  const validationContext = context || await loadValidationContext(storage);
+
+  // Validate what is actually saved: the kept POI as it is under the lock
+  let previous = null;
+  let errors = [];
+  const saved = await storage.updatePOI(keptId, current => {
+    if (!current) return null;
+    const merged = { ...current, properties: mergeProperties(current.properties, duplicate.properties) };
+    errors = validatePOI(merged, validationContext);
+    if (errors.length > 0) return null;
+    previous = current;
+    return merged;
+  });
+  if (errors.length > 0) {
+    return { errors };
+  }
+  if (!saved) return null;
+  await recordRevision(storage, 'pois', keptId, { action: 'update', author, before: previous, after: saved });
+  await updateTagCounts(storage, previous.properties.tags, saved.properties.tags);
+
+  const listChanges = await storage.updateData('lists', data => {
+    const changes = replacePOIInLists(data.lists, duplicateId, keptId);
+    return changes.length > 0 ? changes : null;
+  }) || [];
+  for (const { before, after } of listChanges) {
+    await recordRevision(storage, 'lists', after.id, { action: 'update', author, before, after });
+  }
+
+  // A list that took up the duplicate in the meantime keeps it from going to the trash
+  let referenced = false;
+  const deleted = await storage.trashPOI(duplicateId, (poi, lists) => {
+    referenced = findReferencingLists(lists, duplicateId).length > 0;
+    return !referenced;
+  }, { deletedBy: author });
+  if (referenced) {
+    throw new StorageConflictError('The duplicate was added to a list during the merge, please merge again');
+  }
+  if (deleted) {
+    await recordRevision(storage, 'pois', duplicateId, { action: 'delete', author, before: deleted });
+    await updateTagCounts(storage, deleted.properties.tags, []);
+  }
+
+  return { poi: saved, lists: listChanges.map(({ after }) => after.id) };
+}
+
+export default {
+  loadValidationContext,
+  generatePOIId,
+  createPOI,
+  mergePOIs,
+  reassignCategory,
+  pruneCategoryAttributes,
+  updateTagCounts,
+  recountTags,
+  replaceTag
+};
@@ -0,0 +1,87 @@
+/**
+ * Revision history for POIs and lists
+ * Every change is stored with a timestamp, author, field diff and a snapshot
+ * of the document, so any revision can be restored later
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Flatten a document into { "a.b.c": leafValue }, arrays count as leaves
+function flatten(doc, prefix = '', result = {}) {
+  Object.entries(doc || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * List the fields that differ between two versions of a document
+ * @returns {Array} list of { path, from, to }
+ */
+export function diffDocuments(before, after) {
+  const from = flatten(before);
+  const to = flatten(after);
+  const paths = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  return Array.from(paths)
+    .filter(path => JSON.stringify(from[path]) !== JSON.stringify(to[path]))
+    .sort()
+    .map(path => ({ path, from: from[path] ?? null, to: to[path] ?? null }));
+}
+
+/**
+ * Get the editor name for a write request from the session user set by the middleware
+ */
+export function getAuthor(locals) {
+  return locals?.user?.username || 'anonymous';
+}
+
+/**
+ * Store a revision for a POI or list
+ * @param {Object} storage - storage backend
+ * @param {String} kind - "pois" or "lists"
+ * @param {String} id - document ID
+ * @param {Object} change - { action, author, before, after, restoredFrom }; before/after are null for create/delete
+ */
+export async function recordRevision(storage, kind, id, { action, author, before = null, after = null, restoredFrom = null }) {
+  const diff = diffDocuments(before, after);
+
+  // Saving an unchanged document is not worth a revision
+  if (action === 'update' && diff.length === 0) return null;
+
+  const revision = {
+    id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    timestamp: new Date().toISOString(),
+    author,
+    action,
+    diff,
+    ...(restoredFrom && { restoredFrom }),
+    // Document as of this revision; for deletes, the version that was deleted
+    snapshot: after ?? before
+  };
+
+  await storage.appendRevision(kind, id, revision);
+  return revision;
+}
+
+/**
+ * Find a stored revision by ID
+ */
+export async function findRevision(storage, kind, id, revisionId) {
+  const revisions = await storage.listRevisions(kind, id);
+  return revisions.find(revision => revision.id === revisionId) || null;
+}
+
+export default {
+  diffDocuments,
+  findRevision,
+  getAuthor,
+  recordRevision
+};
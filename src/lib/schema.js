@@ -0,0 +1,461 @@
+/**
+ * Schema validation for Grätzlmap data shapes
+ * Used by the API routes to reject invalid writes before they reach public/data
+ */
+
+import { STATUSES } from './workflow.js';
+import { isValidDate, isValidMonthDay } from './validity.js';
+import { validateOpeningHours } from './opening-hours.js';
+import { ATTRIBUTE_TYPES } from './attributes.js';
+
+const LANGUAGES = ['de', 'en'];
+const KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const IMAGE_FORMATS = ['jpeg', 'webp'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function addError(errors, field, message) {
+  errors.push({ field, message });
+}
+
+function validateStatus(errors, field, value) {
+  if (value !== undefined && !STATUSES.includes(value)) {
+    addError(errors, field, `Status must be one of: ${STATUSES.join(', ')}`);
+  }
+}
+
+// Optional validFrom / validTo dates and a yearly { from, to } season
+function validateValidity(errors, props) {
+  ['validFrom', 'validTo'].forEach(field => {
+    if (props[field] !== undefined && !isValidDate(props[field])) {
+      addError(errors, `properties.${field}`, 'Must be a date like 2025-11-15');
+    }
+  });
+
+  if (isValidDate(props.validFrom) && isValidDate(props.validTo) && props.validFrom > props.validTo) {
+    addError(errors, 'properties.validTo', 'Must not be before validFrom');
+  }
+
+  if (props.season !== undefined) {
+    if (!isPlainObject(props.season)) {
+      addError(errors, 'properties.season', 'Season must be an object with "from" and "to"');
+      return;
+    }
+    ['from', 'to'].forEach(field => {
+      if (!isValidMonthDay(props.season[field])) {
+        addError(errors, `properties.season.${field}`, 'Must be a month and day like 11-15');
+      }
+    });
+  }
+}
+
+// Optional opening hours in OSM opening_hours syntax
+function validateHours(errors, value) {
+  if (value === undefined) return;
+  const message = typeof value === 'string'
+    ? validateOpeningHours(value)
+    : 'Must be a string like "Mo-Fr 08:00-18:00; Sa 09:00-14:00"';
+  if (message) addError(errors, 'properties.opening_hours', message);
+}
+
+/**
+ * Validate a text that is either a plain string or a {de, en} object
+ */
+function validateMultilingual(errors, field, value, { required = false } = {}) {
+  if (value === undefined || value === null) {
+    if (required) addError(errors, field, 'Field is required');
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (required && !value.trim()) addError(errors, field, 'Field must not be empty');
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    addError(errors, field, 'Must be a string or an object with "de" and "en" texts');
+    return;
+  }
+
+  Object.keys(value).forEach(lang => {
+    if (!LANGUAGES.includes(lang)) {
+      addError(errors, `${field}.${lang}`, `Unsupported language "${lang}"`);
+    } else if (typeof value[lang] !== 'string') {
+      addError(errors, `${field}.${lang}`, 'Must be a string');
+    }
+  });
+
+  if (required && !LANGUAGES.some(lang => typeof value[lang] === 'string' && value[lang].trim())) {
+    addError(errors, field, 'At least one language must be filled in');
+  }
+}
+
+function validateOptionalString(errors, field, value) {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    addError(errors, field, 'Must be a string');
+  }
+}
+
+/**
+ * Validate a photo gallery, an ordered list of { url, variants, alt, caption, credit }
+ */
+function validatePhotos(errors, photos) {
+  if (photos === undefined) return;
+  if (!Array.isArray(photos)) {
+    addError(errors, 'properties.photos', 'Photos must be an array of { url, alt, caption, credit }');
+    return;
+  }
+
+  photos.forEach((photo, i) => {
+    const field = `properties.photos[${i}]`;
+    if (!isPlainObject(photo)) {
+      addError(errors, field, 'Photo must be an object with a "url"');
+      return;
+    }
+    if (typeof photo.url !== 'string' || !photo.url.trim()) {
+      addError(errors, `${field}.url`, 'URL is required');
+    }
+    validateMultilingual(errors, `${field}.alt`, photo.alt);
+    validateMultilingual(errors, `${field}.caption`, photo.caption);
+    validateOptionalString(errors, `${field}.credit`, photo.credit);
+
+    if (photo.variants !== undefined) {
+      if (!Array.isArray(photo.variants)) {
+        addError(errors, `${field}.variants`, 'Variants must be an array of { url, width, format }');
+        return;
+      }
+      photo.variants.forEach((variant, j) => {
+        if (!isPlainObject(variant) || typeof variant.url !== 'string' || !variant.url
+          || !Number.isInteger(variant.width) || variant.width <= 0 || !IMAGE_FORMATS.includes(variant.format)) {
+          addError(errors, `${field}.variants[${j}]`, `Variant needs a url, a width in pixels and a format (${IMAGE_FORMATS.join(', ')})`);
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Validate the attribute definitions a category declares
+ */
+function validateAttributeDefinitions(errors, attributes) {
+  if (attributes === undefined) return;
+  if (!isPlainObject(attributes)) {
+    addError(errors, 'attributes', 'Attributes must be an object of attribute definitions');
+    return;
+  }
+
+  Object.entries(attributes).forEach(([key, definition]) => {
+    const field = `attributes.${key}`;
+    if (!KEY_PATTERN.test(key)) {
+      addError(errors, field, 'Attribute key may only contain lowercase letters, digits and dashes');
+    }
+    if (!isPlainObject(definition)) {
+      addError(errors, field, 'Attribute must be an object with "type" and "label"');
+      return;
+    }
+
+    if (!ATTRIBUTE_TYPES.includes(definition.type)) {
+      addError(errors, `${field}.type`, `Type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`);
+    }
+    validateMultilingual(errors, `${field}.label`, definition.label, { required: true });
+
+    if (definition.type === 'enum') {
+      if (!isPlainObject(definition.options) || Object.keys(definition.options).length === 0) {
+        addError(errors, `${field}.options`, 'Enum attributes need an object of options');
+      } else {
+        Object.entries(definition.options).forEach(([option, name]) => {
+          if (!KEY_PATTERN.test(option)) {
+            addError(errors, `${field}.options.${option}`, 'Option key may only contain lowercase letters, digits and dashes');
+          }
+          validateMultilingual(errors, `${field}.options.${option}`, name, { required: true });
+        });
+      }
+    }
+
+    if (definition.type === 'number') {
+      ['min', 'max'].forEach(bound => {
+        if (definition[bound] !== undefined && !Number.isFinite(definition[bound])) {
+          addError(errors, `${field}.${bound}`, 'Must be a number');
+        }
+      });
+      if (definition.min > definition.max) {
+        addError(errors, `${field}.max`, 'Must not be less than min');
+      }
+    }
+  });
+}
+
+/**
+ * Validate POI attribute values against the definitions of its category
+ */
+function validateAttributeValues(errors, values, definitions) {
+  if (values === undefined) return;
+  if (!isPlainObject(values)) {
+    addError(errors, 'properties.attributes', 'Attributes must be an object of values');
+    return;
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    const field = `properties.attributes.${key}`;
+    const definition = definitions[key];
+    if (!definition) {
+      addError(errors, field, `The category has no attribute "${key}"`);
+      return;
+    }
+
+    switch (definition.type) {
+      case 'enum':
+        if (typeof value !== 'string' || !Object.hasOwn(definition.options || {}, value)) {
+          addError(errors, field, `Must be one of: ${Object.keys(definition.options || {}).join(', ')}`);
+        }
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') addError(errors, field, 'Must be true or false');
+        break;
+      case 'number':
+        if (!Number.isFinite(value)) {
+          addError(errors, field, 'Must be a number');
+        } else if (value < definition.min || value > definition.max) {
+          addError(errors, field, `Must be between ${definition.min ?? '-∞'} and ${definition.max ?? '∞'}`);
+        }
+        break;
+      case 'text':
+        validateMultilingual(errors, field, value);
+        break;
+    }
+  });
+}
+
+/**
+ * Validate a Point geometry with [longitude, latitude] coordinates
+ */
+function validatePointGeometry(errors, geometry) {
+  if (!isPlainObject(geometry)) {
+    addError(errors, 'geometry', 'Geometry is required');
+    return;
+  }
+
+  if (geometry.type !== 'Point') {
+    addError(errors, 'geometry.type', 'Geometry type must be "Point"');
+  }
+
+  const coords = geometry.coordinates;
+  if (!Array.isArray(coords) || coords.length !== 2) {
+    addError(errors, 'geometry.coordinates', 'Coordinates must be [longitude, latitude]');
+    return;
+  }
+
+  const [lng, lat] = coords;
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    addError(errors, 'geometry.coordinates[0]', 'Longitude must be a number between -180 and 180');
+  }
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    addError(errors, 'geometry.coordinates[1]', 'Latitude must be a number between -90 and 90');
+  }
+}
+
+/**
+ * Validate a POI GeoJSON Feature
+ * @param {Object} poi - POI feature as received from the client
+ * @param {Object} context - { categories, tags } maps from categories.json and tags.json
+ * @returns {Array} list of { field, message } errors, empty if valid
+ */
+export function validatePOI(poi, { categories = {}, tags = {} } = {}) {
+  const errors = [];
+
+  if (!isPlainObject(poi)) {
+    addError(errors, '', 'POI must be a GeoJSON Feature object');
+    return errors;
+  }
+
+  if (poi.type !== 'Feature') {
+    addError(errors, 'type', 'Type must be "Feature"');
+  }
+
+  validatePointGeometry(errors, poi.geometry);
+
+  const props = poi.properties;
+  if (!isPlainObject(props)) {
+    addError(errors, 'properties', 'Properties are required');
+    return errors;
+  }
+
+  if (typeof props.name !== 'string' || !props.name.trim()) {
+    addError(errors, 'properties.name', 'Name is required');
+  }
+
+  if (typeof props.category !== 'string' || !props.category) {
+    addError(errors, 'properties.category', 'Category is required');
+  } else if (!categories[props.category]) {
+    addError(errors, 'properties.category', `Unknown category "${props.category}"`);
+  }
+
+  validateMultilingual(errors, 'properties.description', props.description);
+  validateOptionalString(errors, 'properties.link', props.link);
+  validateOptionalString(errors, 'properties.instagram', props.instagram);
+  validateOptionalString(errors, 'properties.photo', props.photo);
+  validatePhotos(errors, props.photos);
+  validateStatus(errors, 'properties.status', props.status);
+  validateValidity(errors, props);
+  validateHours(errors, props.opening_hours);
+  validateAttributeValues(errors, props.attributes, categories[props.category]?.attributes || {});
+
+  if (props.tags !== undefined) {
+    if (!Array.isArray(props.tags)) {
+      addError(errors, 'properties.tags', 'Tags must be an array of tag keys');
+    } else {
+      props.tags.forEach((tag, i) => {
+        if (typeof tag !== 'string') {
+          addError(errors, `properties.tags[${i}]`, 'Tag key must be a string');
+        } else if (!tags[tag]) {
+          addError(errors, `properties.tags[${i}]`, `Unknown tag "${tag}"`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list or walk
+ * @param {Object} list - list as received from the client
+ * @param {Object} context - { poiIds } set of existing POI IDs, or anything else with has(id)
+ * @returns {Array} list of { field, message } errors, empty if valid
+ */
+export function validateList(list, { poiIds = new Set() } = {}) {
+  const errors = [];
+
+  if (!isPlainObject(list)) {
+    addError(errors, '', 'List must be an object');
+    return errors;
+  }
+
+  validateMultilingual(errors, 'title', list.title, { required: true });
+  validateMultilingual(errors, 'description', list.description);
+
+  if (list.slug !== undefined && (typeof list.slug !== 'string' || !KEY_PATTERN.test(list.slug))) {
+    addError(errors, 'slug', 'Slug may only contain lowercase letters, digits and dashes');
+  }
+
+  if (!Array.isArray(list.pois)) {
+    addError(errors, 'pois', 'POIs must be an array of POI IDs');
+  } else {
+    list.pois.forEach((poiId, i) => {
+      if (typeof poiId !== 'string') {
+        addError(errors, `pois[${i}]`, 'POI ID must be a string');
+      } else if (!poiIds.has(poiId)) {
+        addError(errors, `pois[${i}]`, `POI "${poiId}" does not exist`);
+      }
+    });
+  }
+
+  if (list.showAsWalk !== undefined && typeof list.showAsWalk !== 'boolean') {
+    addError(errors, 'showAsWalk', 'Must be true or false');
+  }
+
+  validateStatus(errors, 'status', list.status);
+
+  return errors;
+}
+
+/**
+ * Validate a category entry of categories.json
+ */
+export function validateCategory(key, category) {
+  const errors = [];
+
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    addError(errors, 'key', 'Key may only contain lowercase letters, digits and dashes');
+  }
+
+  if (!isPlainObject(category)) {
+    addError(errors, '', 'Category must be an object');
+    return errors;
+  }
+
+  validateMultilingual(errors, 'name', category.name, { required: true });
+  validateOptionalString(errors, 'emoji', category.emoji);
+  validateOptionalString(errors, 'icon', category.icon);
+
+  // Icons are inserted as HTML on the map, so only allow plain inline SVG
+  if (typeof category.icon === 'string' && category.icon.trim()) {
+    if (!/^\s*<svg[\s>][\s\S]*<\/svg>\s*$/i.test(category.icon)) {
+      addError(errors, 'icon', 'Icon must be a single inline <svg> element');
+    } else if (/<script|<foreignObject|\son\w+\s*=|javascript:/i.test(category.icon)) {
+      addError(errors, 'icon', 'Icon must not contain scripts or event handlers');
+    }
+  }
+
+  if (category.color !== undefined && (typeof category.color !== 'string' || !COLOR_PATTERN.test(category.color))) {
+    addError(errors, 'color', 'Color must be a hex value like #6B7280');
+  }
+
+  validateAttributeDefinitions(errors, category.attributes);
+
+  return errors;
+}
+
+/**
+ * Validate a tag entry of tags.json
+ */
+export function validateTag(key, tag) {
+  const errors = [];
+
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    addError(errors, 'key', 'Key may only contain lowercase letters, digits and dashes');
+  }
+
+  if (!isPlainObject(tag)) {
+    addError(errors, '', 'Tag must be an object');
+    return errors;
+  }
+
+  validateMultilingual(errors, 'name', tag.name, { required: true });
+
+  if (tag.count !== undefined && (!Number.isInteger(tag.count) || tag.count < 0)) {
+    addError(errors, 'count', 'Count must be a non-negative integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Keep the POI attribute values that are valid for a category's definitions,
+ * e.g. after moving the POI to another category or changing the category's schema
+ * @returns {Object|undefined} the valid values, undefined when none are left
+ */
+export function keepValidAttributes(values, definitions = {}) {
+  if (!isPlainObject(values)) return undefined;
+
+  const kept = Object.fromEntries(Object.entries(values).filter(([key, value]) => {
+    const errors = [];
+    validateAttributeValues(errors, { [key]: value }, definitions);
+    return errors.length === 0;
+  }));
+  return Object.keys(kept).length > 0 ? kept : undefined;
+}
+
+/**
+ * Build the 422 response listing every field error
+ */
+export function validationErrorResponse(errors) {
+  return new Response(JSON.stringify({ error: 'Validation failed', errors }), {
+    status: 422,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+export default {
+  validatePOI,
+  validateList,
+  validateCategory,
+  validateTag,
+  keepValidAttributes,
+  validationErrorResponse
+};
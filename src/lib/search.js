@@ -0,0 +1,409 @@
+/**
+ * POI search
+ * Text is normalized like slugs (umlauts spelled out, ß as ss, other accents dropped),
+ * so "Strudlhof" finds "Strudlhofstiege" and "cafe" finds "Café". Every query word has to match
+ * a word of a POI as prefix, inside a compound word, or with a typo or two in longer words
+ * (except in the first letter). Results are ranked by the weight of the field that matched.
+ * Searches run on an inverted index of normalized words; the build writes one per language
+ * next to all-pois.json (search-index-<lang>.json), elsewhere it is built on the fly
+ */
+
+export const FIELD_WEIGHTS = {
+  name: 10,
+  tags: 5,
+  category: 4,
+  description: 2
+};
+
+// How much a kind of match counts, relative to the field weight
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  infix: 0.6,
+  typo: 0.3
+};
+
+export const SEARCH_LANGUAGES = ['de', 'en'];
+
+// Order of the fields in index postings
+const INDEX_FIELDS = ['name', 'tags', 'category', 'description'];
+
+const REPLACEMENTS = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' };
+
+/**
+ * Normalize text and remember which original character each normalized one came from
+ * @returns {Object} { text, positions } where positions[i] is the index in the original text
+ */
+function normalizeWithPositions(value) {
+  const source = String(value || '');
+  let text = '';
+  const positions = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const lower = source[i].toLowerCase();
+    const plain = REPLACEMENTS[lower] || lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const kept = /^[a-z0-9]+$/.test(plain) ? plain : ' ';
+    for (const char of kept) {
+      text += char;
+      positions.push(i);
+    }
+  }
+
+  return { text, positions };
+}
+
+/**
+ * Normalize text for searching: lower case, umlauts spelled out, letters and digits separated by single spaces
+ */
+export function normalizeText(value) {
+  return normalizeWithPositions(value).text.trim().replace(/ +/g, ' ');
+}
+
+/**
+ * Split text into normalized words
+ */
+export function tokenize(value) {
+  const text = normalizeText(value);
+  return text ? text.split(' ') : [];
+}
+
+/**
+ * Edit distance of two words, counting swapped neighbours as one edit
+ */
+export function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// Typos allowed in a query word of this length
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Match one query word against one word of the text
+ * @returns {Object|null} { kind, start, end } with the matched part of the word
+ */
+export function matchWord(term, word) {
+  if (word === term) return { kind: 'exact', start: 0, end: word.length };
+  if (word.startsWith(term)) return { kind: 'prefix', start: 0, end: term.length };
+
+  // Parts of compound words, e.g. "markt" in "naschmarkt"
+  const index = term.length >= 3 ? word.indexOf(term) : -1;
+  if (index !== -1) return { kind: 'infix', start: index, end: index + term.length };
+
+  const typos = allowedTypos(term.length);
+  if (typos > 0) {
+    // Compare with the whole word and with its beginning, so typos work while still typing
+    if (Math.abs(term.length - word.length) <= typos && editDistance(term, word) <= typos) {
+      return { kind: 'typo', start: 0, end: word.length };
+    }
+    const prefix = word.slice(0, term.length);
+    if (editDistance(term, prefix) <= typos) return { kind: 'typo', start: 0, end: prefix.length };
+  }
+
+  return null;
+}
+
+/**
+ * Score a short text such as a Grätzl or list name against the query
+ * @returns {Number|null} sum of the best match of every query word, null unless all of them match
+ */
+export function scoreText(text, query) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return null;
+  const words = tokenize(text);
+
+  let score = 0;
+  for (const term of terms) {
+    const best = Math.max(0, ...words.map(word => {
+      const match = matchWord(term, word);
+      return match ? MATCH_SCORES[match.kind] : 0;
+    }));
+    if (best === 0) return null;
+    score += best;
+  }
+  return score;
+}
+
+/**
+ * Collect the searchable texts of a POI
+ * @param {Object} poi - POI feature
+ * @param {Object} context - { categories, tags } definitions, to search their names;
+ *   { lang } uses only that language of multilingual texts, all languages without it
+ * @returns {Object} { id, fields: { name, description, tags, category } } with lists of texts
+ */
+export function toSearchDocument(poi, { categories = {}, tags = {}, lang } = {}) {
+  const props = poi.properties;
+  const texts = value => {
+    if (!value) return [];
+    if (typeof value === 'string') return [value];
+    // Missing translations fall back to German, like on the map
+    const values = lang ? [value[lang] || value.de] : Object.values(value);
+    return values.filter(text => typeof text === 'string' && text);
+  };
+  const category = categories[props.category];
+
+  return {
+    id: props.id,
+    fields: {
+      name: texts(props.name),
+      description: texts(props.description),
+      tags: (props.tags || []).flatMap(key => (tags[key] ? texts(tags[key].name) : [key])),
+      category: category ? texts(category.name) : texts(props.category)
+    }
+  };
+}
+
+/**
+ * Build an inverted index from normalized words to the POIs and fields they appear in
+ * @param {Array} pois - POI features
+ * @param {Object} context - { categories, tags, lang } as for toSearchDocument
+ * @returns {Object} { lang, ids, words, postings } where words is the sorted vocabulary and
+ *   postings[i] lists where words[i] appears, as numbers that encode the POI's position in ids
+ *   and the field (position * 4 + field)
+ */
+export function buildSearchIndex(pois, context = {}) {
+  const ids = [];
+  const postingsByWord = new Map();
+
+  pois.forEach((poi, position) => {
+    const document = toSearchDocument(poi, context);
+    ids.push(document.id);
+
+    INDEX_FIELDS.forEach((field, code) => {
+      new Set(document.fields[field].flatMap(tokenize)).forEach(word => {
+        if (!postingsByWord.has(word)) postingsByWord.set(word, []);
+        postingsByWord.get(word).push(position * INDEX_FIELDS.length + code);
+      });
+    });
+  });
+
+  const words = [...postingsByWord.keys()].sort();
+  return { lang: context.lang || null, ids, words, postings: words.map(word => postingsByWord.get(word)) };
+}
+
+// Position of the first word in the sorted vocabulary that is not before term
+function lowerBound(words, term) {
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (words[middle] < term) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Positions of the vocabulary words a query word may match, so only those are compared:
+ * words starting with it, words containing it, and for typos words with its first letter;
+ * the first two are ranges of the sorted vocabulary found by binary search
+ */
+function candidateWords(words, term) {
+  const candidates = new Set();
+  const addWordsStartingWith = prefix => {
+    for (let i = lowerBound(words, prefix); i < words.length && words[i].startsWith(prefix); i++) {
+      candidates.add(i);
+    }
+  };
+
+  addWordsStartingWith(allowedTypos(term.length) > 0 ? term[0] : term);
+  if (term.length >= 3) {
+    words.forEach((word, i) => {
+      if (word.includes(term)) candidates.add(i);
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Search an index built with buildSearchIndex
+ * @param {Object} options - { limit } for the number of results
+ * @returns {Array} [{ id, score, field }], best first; field is where the best match was
+ */
+export function searchIndex(index, query, { limit = Infinity } = {}) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  let totals = null; // POI position -> { score, fields: { field: score } }
+
+  for (const term of terms) {
+    // Best match of this query word for every POI
+    const best = new Map();
+    candidateWords(index.words, term).forEach(i => {
+      const match = matchWord(term, index.words[i]);
+      if (!match) return;
+
+      index.postings[i].forEach(posting => {
+        const position = Math.floor(posting / INDEX_FIELDS.length);
+        const field = INDEX_FIELDS[posting % INDEX_FIELDS.length];
+        const score = MATCH_SCORES[match.kind] * FIELD_WEIGHTS[field];
+        const current = best.get(position);
+        if (!current || score > current.score) best.set(position, { score, field });
+      });
+    });
+
+    // Every word of the query has to match
+    const next = new Map();
+    best.forEach((match, position) => {
+      if (totals && !totals.has(position)) return;
+      const total = totals ? totals.get(position) : { score: 0, fields: {} };
+      next.set(position, {
+        score: total.score + match.score,
+        fields: { ...total.fields, [match.field]: (total.fields[match.field] || 0) + match.score }
+      });
+    });
+    totals = next;
+  }
+
+  return [...totals.entries()]
+    .map(([position, total]) => ({
+      id: index.ids[position],
+      score: total.score,
+      field: Object.keys(total.fields).sort((a, b) => total.fields[b] - total.fields[a])[0]
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Indexes built by searchPOIs: POI array -> language -> { categories, tags, index }
+const builtIndexes = new WeakMap();
+
+function getBuiltIndex(pois, { categories, tags, lang }) {
+  if (!builtIndexes.has(pois)) builtIndexes.set(pois, new Map());
+  const byLang = builtIndexes.get(pois);
+
+  const cached = byLang.get(lang || null);
+  if (cached && cached.categories === categories && cached.tags === tags) return cached.index;
+
+  const index = buildSearchIndex(pois, { categories, tags, lang });
+  byLang.set(lang || null, { categories, tags, index });
+  return index;
+}
+
+/**
+ * Search POIs without a prebuilt index
+ * The index is built once per POI array, language, categories and tags and then reused,
+ * so pass a new array when the POIs change instead of changing it in place
+ * @param {Array} pois - POI features
+ * @param {String} query - search text
+ * @param {Object} options - { categories, tags, lang } as for toSearchDocument, { limit } for the number of results
+ * @returns {Array} [{ poi, id, score, field }], best first; field is where the best match was
+ */
+export function searchPOIs(pois, query, { categories, tags, lang, limit = Infinity } = {}) {
+  const byId = new Map(pois.map(poi => [poi.properties.id, poi]));
+
+  return searchIndex(getBuiltIndex(pois, { categories, tags, lang }), query)
+    .map(result => ({ ...result, poi: byId.get(result.id) }))
+    .sort((a, b) => b.score - a.score || String(a.poi.properties.name).localeCompare(String(b.poi.properties.name)))
+    .slice(0, limit);
+}
+
+/**
+ * Escape text for use in HTML content and double-quoted attributes
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Ranges of the original text that match words of the query
+ * @returns {Array} [[start, end]], sorted and merged
+ */
+export function findMatches(text, query) {
+  const { text: normalized, positions } = normalizeWithPositions(text);
+  const ranges = [];
+
+  tokenize(query).forEach(term => {
+    let offset = 0;
+    normalized.split(' ').forEach(word => {
+      const match = word ? matchWord(term, word) : null;
+      if (match) {
+        // Map back to the original text, where "ä" became "ae"
+        ranges.push([positions[offset + match.start], positions[offset + match.end - 1] + 1]);
+      }
+      offset += word.length + 1;
+    });
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * HTML for a text with the parts matching the query wrapped in <mark>, everything else escaped
+ */
+export function highlight(text, query) {
+  const value = String(text || '');
+  let html = '';
+  let position = 0;
+
+  findMatches(value, query).forEach(([start, end]) => {
+    html += escapeHtml(value.slice(position, start)) + '<mark>' + escapeHtml(value.slice(start, end)) + '</mark>';
+    position = end;
+  });
+
+  return html + escapeHtml(value.slice(position));
+}
+
+/**
+ * Short excerpt of a long text around its first match, highlighted
+ * @param {Number} length - about how many characters to show
+ */
+export function highlightSnippet(text, query, length = 80) {
+  const value = String(text || '');
+  const [first] = findMatches(value, query);
+  if (!first || value.length <= length) return highlight(value, query);
+
+  const start = Math.max(0, first[0] - Math.floor(length / 3));
+  const end = Math.min(value.length, start + length);
+  return (start > 0 ? '…' : '') + highlight(value.slice(start, end), query) + (end < value.length ? '…' : '');
+}
+
+export default {
+  FIELD_WEIGHTS,
+  SEARCH_LANGUAGES,
+  normalizeText,
+  tokenize,
+  editDistance,
+  matchWord,
+  scoreText,
+  toSearchDocument,
+  buildSearchIndex,
+  searchIndex,
+  searchPOIs,
+  findMatches,
+  highlight,
+  highlightSnippet,
+  escapeHtml
+};
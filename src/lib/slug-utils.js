@@ -1,5 +1,6 @@
 /**
- * Utility functions for converting names to URL-friendly slugs and vice versa
+ * Utility functions for converting names to URL-friendly slugs and vice versa,
+ * and for keeping the map state in the URL
  */
 
 /**
@@ -64,21 +65,22 @@ export function getGraetzlSlugFromPath() {
 
 /**
  * Update the browser URL to reflect the selected Grätzl
- * Uses history.pushState to avoid page reload
+ * Uses history.pushState to avoid page reload, the map state in query and hash is kept
  */
 export function updateUrlForGraetzl(graetzl) {
+  const mapState = window.location.search + window.location.hash;
   if (graetzl) {
     const slug = graetzlNameToSlug(graetzl.properties.Graetzl_Name);
     const newUrl = `/g/${slug}`;
 
     // Only push if URL is different
     if (window.location.pathname !== newUrl) {
-      window.history.pushState({ graetzl: slug }, '', newUrl);
+      window.history.pushState({ graetzl: slug }, '', newUrl + mapState);
     }
   } else {
     // No Grätzl selected, go back to root
     if (window.location.pathname !== '/') {
-      window.history.pushState({ graetzl: null }, '', '/');
+      window.history.pushState({ graetzl: null }, '', '/' + mapState);
     }
   }
 }
@@ -96,26 +98,75 @@ export function getListSlugFromPath() {
 
 /**
  * Update the browser URL to reflect the selected list or walk
- * Uses history.pushState to avoid page reload
+ * Uses history.pushState to avoid page reload, the map state in query and hash is kept
  * Always uses /l/ prefix for both lists and walks
  */
 export function updateUrlForList(list) {
+  const mapState = window.location.search + window.location.hash;
   if (list) {
     const slug = list.slug || nameToSlug(list.title);
     const newUrl = `/l/${slug}`;
 
     // Only push if URL is different
     if (window.location.pathname !== newUrl) {
-      window.history.pushState({ list: slug }, '', newUrl);
+      window.history.pushState({ list: slug }, '', newUrl + mapState);
     }
   } else {
     // No list selected, go back to root
     if (window.location.pathname !== '/') {
-      window.history.pushState({ list: null }, '', '/');
+      window.history.pushState({ list: null }, '', '/' + mapState);
     }
   }
 }
 
+/**
+ * Get the map state from the query and hash of the URL:
+ * ?categories=<id>,<id>&tags=<key>,<key>&poi=<id>#<zoom>/<lat>/<lng>
+ * @returns {Object} { categories, tags, poi, view } where view is { zoom, lat, lng } or null
+ */
+export function getMapStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const values = name => (params.get(name) || '').split(',').filter(Boolean);
+  const [zoom, lat, lng] = window.location.hash.slice(1).split('/').map(Number);
+
+  return {
+    categories: values('categories'),
+    tags: values('tags'),
+    poi: params.get('poi') || null,
+    view: window.location.hash && [zoom, lat, lng].every(Number.isFinite) ? { zoom, lat, lng } : null
+  };
+}
+
+/**
+ * Build the query and hash for a map state, leaving out what isn't set
+ * Coordinates are rounded to 5 decimals, about a meter
+ */
+export function mapStateToUrl({ categories = [], tags = [], poi = null, view = null } = {}) {
+  const params = new URLSearchParams();
+  if (categories.length > 0) params.set('categories', categories.join(','));
+  if (tags.length > 0) params.set('tags', tags.join(','));
+  if (poi) params.set('poi', poi);
+
+  // Commas don't need escaping and keep the URL readable
+  const search = params.toString().replace(/%2C/g, ',');
+  const hash = view ? `#${view.zoom}/${view.lat.toFixed(5)}/${view.lng.toFixed(5)}` : '';
+  return (search ? `?${search}` : '') + hash;
+}
+
+/**
+ * Update query and hash of the browser URL to reflect the map state, keeping the path
+ * @param {Object} options - { replace } replaces the current history entry instead of adding one,
+ *   so moving the map doesn't fill up the history
+ */
+export function updateUrlForMapState(state, { replace = false } = {}) {
+  const newUrl = window.location.pathname + mapStateToUrl(state);
+
+  // Only update if URL is different
+  if (newUrl !== window.location.pathname + window.location.search + window.location.hash) {
+    window.history[replace ? 'replaceState' : 'pushState'](window.history.state, '', newUrl);
+  }
+}
+
 
 export default {
   nameToSlug,
@@ -124,5 +175,8 @@ export default {
   getGraetzlSlugFromPath,
   updateUrlForGraetzl,
   getListSlugFromPath,
-  updateUrlForList
+  updateUrlForList,
+  getMapStateFromUrl,
+  mapStateToUrl,
+  updateUrlForMapState
 };
@@ -0,0 +1,17 @@
+/**
+ * Errors raised by the storage backends
+ */
+
+/**
+ * A write lost the race against a concurrent write (answered with 409 by the API)
+ */
+export class StorageConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConflictError';
+  }
+}
+
+export default {
+  StorageConflictError
+};
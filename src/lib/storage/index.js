@@ -0,0 +1,70 @@
+/**
+ * Storage backend selection for the API routes and build scripts
+ *
+ * Configured through environment variables:
+ *   GRAETZLMAP_STORAGE      "json" (default) or "sqlite"
+ *   GRAETZLMAP_SQLITE_FILE  database file for the SQLite backend
+ *                           (default: data/graetzlmap.sqlite)
+ *
+ * Every backend implements the same interface:
+ *   listPOIs(), listPOIIds(), getPOI(id), savePOI(poi)
+ *   updatePOI(id, mutate), trashPOI(id, check, { deletedBy }) and
+ *     restoreTrashedPOI(id, prepare) run under a per-POI lock; trashPOI also locks
+ *     the lists, so check(poi, lists) sees them as they are when the POI goes
+ *   listTrashedPOIs(), getTrashedPOI(id), saveTrashedPOI(entry), purgeTrashedPOI(id)
+ *     deleted POIs as { deletedAt, deletedBy, poi }; saveTrashedPOI stores an entry as it is
+ *   readData(name), writeData(name, data), updateData(name, mutate)
+ *     for "lists", "categories" and "tags"; updateData runs mutate(data, { hasPOI })
+ *     under a lock and throws StorageConflictError when it cannot get one;
+ *     hasPOI(id) checks under the same lock that a POI exists, trashPOI waits for it
+ *   listRevisions(kind, id), appendRevision(kind, id, revision)
+ *     revision history for "pois" and "lists", oldest first;
+ *     listRevisionIds(kind) lists every document with a history, deleted ones too
+ *   saveUpload(filename, buffer) returning the public URL,
+ *     listUploads() as { filename, url, size, modifiedAt }, deleteUpload(filename)
+ */
+
+import path from 'path';
+import { createJsonStorage } from './json-storage.js';
+import { createSqliteStorage } from './sqlite-storage.js';
+
+export { StorageConflictError } from './errors.js';
+
+let storagePromise = null;
+
+async function createStorage() {
+  const backend = process.env.GRAETZLMAP_STORAGE || 'json';
+  const uploadsDir = path.join(process.cwd(), 'public', 'uploads');
+
+  if (backend === 'json') {
+    return createJsonStorage({
+      dataDir: path.join(process.cwd(), 'public', 'data'),
+      privateDir: path.join(process.cwd(), 'data'),
+      uploadsDir
+    });
+  }
+
+  if (backend === 'sqlite') {
+    return createSqliteStorage({
+      file: process.env.GRAETZLMAP_SQLITE_FILE || path.join(process.cwd(), 'data', 'graetzlmap.sqlite'),
+      uploadsDir
+    });
+  }
+
+  throw new Error(`Unknown storage backend "${backend}" (expected "json" or "sqlite")`);
+}
+
+/**
+ * Get the configured storage backend (created once per process)
+ */
+export function getStorage() {
+  if (!storagePromise) {
+    storagePromise = createStorage().catch(error => {
+      storagePromise = null;
+      throw error;
+    });
+  }
+  return storagePromise;
+}
+
+export default getStorage;
@@ -0,0 +1,343 @@
+/**
+ * JSON file storage backend
+ * One file per POI in public/data/pois, one file per shared data set
+ * (lists.json, categories.json, tags.json) in public/data
+ * Revision history and deleted POIs live outside public, in data/revisions/<kind>/<id>.json
+ * and data/trash/pois/<id>.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_DATA, saveUploadFile, listUploadFiles, deleteUploadFile } from './shared.js';
+import { StorageConflictError } from './errors.js';
+
+// POI IDs become file names, so only allow safe characters
+const POI_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// How long to wait for a lock before giving up, and when a lock counts as abandoned
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_RETRY_MS = 25;
+const LOCK_STALE_MS = 10000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Write a file atomically: write a temp file next to it, then rename over it
+ */
+function writeFileAtomic(filepath, content) {
+  const tmpPath = `${filepath}.${process.pid}.${Math.random().toString(36).substr(2, 9)}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filepath);
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Acquire an exclusive lock file, waiting up to LOCK_TIMEOUT_MS
+ * Returns a function that releases the lock
+ */
+async function acquireLock(filepath) {
+  const lockPath = `${filepath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      return () => fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    // Remove locks left behind by a crashed process
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch (error) {
+      // Lock was released in the meantime, retry right away
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new StorageConflictError(`${path.basename(filepath)} is being saved by someone else, please try again`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+function getMtime(filepath) {
+  return fs.existsSync(filepath) ? fs.statSync(filepath).mtimeMs : null;
+}
+
+// Document kinds that keep a revision history
+const REVISION_KINDS = ['pois', 'lists'];
+
+export function createJsonStorage({ dataDir, privateDir, uploadsDir }) {
+  const poisDir = path.join(dataDir, 'pois');
+  const revisionsDir = path.join(privateDir, 'revisions');
+  const trashDir = path.join(privateDir, 'trash', 'pois');
+
+  // Ensure POIs directory exists
+  if (!fs.existsSync(poisDir)) {
+    fs.mkdirSync(poisDir, { recursive: true });
+  }
+
+  function poiPath(id) {
+    if (!POI_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid POI ID "${id}"`);
+    }
+    return path.join(poisDir, `${id}.json`);
+  }
+
+  function dataPath(name) {
+    if (!DEFAULT_DATA[name]) {
+      throw new Error(`Unknown data set "${name}"`);
+    }
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  function trashPath(id) {
+    return path.join(trashDir, path.basename(poiPath(id)));
+  }
+
+  function readJsonFile(filepath) {
+    return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : null;
+  }
+
+  function revisionsPath(kind, id) {
+    if (!REVISION_KINDS.includes(kind) || !POI_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid revision document "${kind}/${id}"`);
+    }
+    return path.join(revisionsDir, kind, `${id}.json`);
+  }
+
+  function readDataFile(name) {
+    const filepath = dataPath(name);
+    if (!fs.existsSync(filepath)) {
+      return structuredClone(DEFAULT_DATA[name]);
+    }
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  }
+
+  return {
+    name: 'json',
+
+    async listPOIs() {
+      const files = fs.readdirSync(poisDir).filter(f => f.endsWith('.json'));
+      return files.map(file => {
+        const content = fs.readFileSync(path.join(poisDir, file), 'utf8');
+        return JSON.parse(content);
+      });
+    },
+
+    async listPOIIds() {
+      const files = fs.readdirSync(poisDir).filter(f => f.endsWith('.json'));
+      return files.map(file => path.basename(file, '.json'));
+    },
+
+    async getPOI(id) {
+      if (!POI_ID_PATTERN.test(id)) return null;
+      const filepath = poiPath(id);
+      if (!fs.existsSync(filepath)) return null;
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    },
+
+    async savePOI(poi) {
+      writeFileAtomic(poiPath(poi.properties.id), JSON.stringify(poi, null, 2));
+    },
+
+    /**
+     * Replace a POI under a lock
+     * mutate(current) is synchronous, gets the stored POI (or null) and returns
+     * the POI to save; returning null leaves the stored POI untouched
+     */
+    async updatePOI(id, mutate) {
+      if (!POI_ID_PATTERN.test(id)) return mutate(null);
+      const filepath = poiPath(id);
+      const release = await acquireLock(filepath);
+      try {
+        const current = fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : null;
+        const poi = mutate(current);
+        if (poi === null) return null;
+
+        writeFileAtomic(filepath, JSON.stringify(poi, null, 2));
+        return poi;
+      } finally {
+        release();
+      }
+    },
+
+    /**
+     * Move a POI to the trash; the optional check(current, lists) runs under the lock
+     * of the POI and of the lists, and can veto the delete by returning false
+     * Returns the trashed POI, or null when nothing was deleted
+     */
+    async trashPOI(id, check = () => true, { deletedBy = null } = {}) {
+      if (!POI_ID_PATTERN.test(id)) return null;
+      const filepath = poiPath(id);
+      const release = await acquireLock(filepath);
+      try {
+        // No list can pick up the POI between the check and the delete
+        const releaseLists = await acquireLock(dataPath('lists'));
+        try {
+          const poi = readJsonFile(filepath);
+          if (!poi || !check(poi, readDataFile('lists').lists)) return null;
+
+          fs.mkdirSync(trashDir, { recursive: true });
+          const entry = { deletedAt: new Date().toISOString(), deletedBy, poi };
+          writeFileAtomic(trashPath(id), JSON.stringify(entry, null, 2));
+          fs.unlinkSync(filepath);
+          return poi;
+        } finally {
+          releaseLists();
+        }
+      } finally {
+        release();
+      }
+    },
+
+    async listTrashedPOIs() {
+      if (!fs.existsSync(trashDir)) return [];
+      return fs.readdirSync(trashDir)
+        .filter(f => f.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(trashDir, file), 'utf8')));
+    },
+
+    async getTrashedPOI(id) {
+      if (!POI_ID_PATTERN.test(id)) return null;
+      return readJsonFile(trashPath(id));
+    },
+
+    async saveTrashedPOI(entry) {
+      const id = entry.poi.properties.id;
+      if (!POI_ID_PATTERN.test(id)) throw new Error(`Invalid POI ID "${id}"`);
+      fs.mkdirSync(trashDir, { recursive: true });
+      writeFileAtomic(trashPath(id), JSON.stringify(entry, null, 2));
+    },
+
+    /**
+     * Move a POI back out of the trash
+     * prepare(poi) runs under the lock and returns the POI to save, e.g. with a new status
+     * Returns the restored POI, or null when it is not in the trash
+     */
+    async restoreTrashedPOI(id, prepare = poi => poi) {
+      if (!POI_ID_PATTERN.test(id)) return null;
+      const filepath = poiPath(id);
+      const release = await acquireLock(filepath);
+      try {
+        const entry = readJsonFile(trashPath(id));
+        if (!entry) return null;
+        if (fs.existsSync(filepath)) {
+          throw new StorageConflictError(`A POI with the ID "${id}" exists already`);
+        }
+
+        const poi = prepare(entry.poi);
+        writeFileAtomic(filepath, JSON.stringify(poi, null, 2));
+        fs.unlinkSync(trashPath(id));
+        return poi;
+      } finally {
+        release();
+      }
+    },
+
+    /**
+     * Delete a POI from the trash for good
+     */
+    async purgeTrashedPOI(id) {
+      if (!POI_ID_PATTERN.test(id)) return false;
+      const filepath = trashPath(id);
+      if (!fs.existsSync(filepath)) return false;
+      fs.unlinkSync(filepath);
+      return true;
+    },
+
+    async readData(name) {
+      return readDataFile(name);
+    },
+
+    async writeData(name, data) {
+      const filepath = dataPath(name);
+      const release = await acquireLock(filepath);
+      try {
+        writeFileAtomic(filepath, JSON.stringify(data, null, 2));
+      } finally {
+        release();
+      }
+    },
+
+    /**
+     * Read-modify-write a data set under a lock
+     * mutate(data) is synchronous, changes data in place and returns a result;
+     * returning null leaves the stored data untouched
+     */
+    async updateData(name, mutate) {
+      const filepath = dataPath(name);
+      const release = await acquireLock(filepath);
+      try {
+        const mtime = getMtime(filepath);
+        const data = readDataFile(name);
+        const result = mutate(data, { hasPOI: id => POI_ID_PATTERN.test(id) && fs.existsSync(poiPath(id)) });
+        if (result === null) return null;
+
+        // Someone wrote the file without taking the lock while we were working on it
+        if (getMtime(filepath) !== mtime) {
+          throw new StorageConflictError(`${path.basename(filepath)} was changed by someone else, please try again`);
+        }
+
+        writeFileAtomic(filepath, JSON.stringify(data, null, 2));
+        return result;
+      } finally {
+        release();
+      }
+    },
+
+    async listRevisions(kind, id) {
+      const filepath = revisionsPath(kind, id);
+      if (!fs.existsSync(filepath)) return [];
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    },
+
+    async listRevisionIds(kind) {
+      if (!REVISION_KINDS.includes(kind)) throw new Error(`Invalid revision kind "${kind}"`);
+      const dir = path.join(revisionsDir, kind);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+    },
+
+    async appendRevision(kind, id, revision) {
+      const filepath = revisionsPath(kind, id);
+      fs.mkdirSync(path.dirname(filepath), { recursive: true });
+      const release = await acquireLock(filepath);
+      try {
+        const revisions = fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : [];
+        revisions.push(revision);
+        writeFileAtomic(filepath, JSON.stringify(revisions, null, 2));
+      } finally {
+        release();
+      }
+    },
+
+    async saveUpload(filename, buffer) {
+      return saveUploadFile(uploadsDir, filename, buffer);
+    },
+
+    async listUploads() {
+      return listUploadFiles(uploadsDir);
+    },
+
+    async deleteUpload(filename) {
+      return deleteUploadFile(uploadsDir, filename);
+    }
+  };
+}
+
+export default createJsonStorage;
@@ -0,0 +1,61 @@
+/**
+ * Helpers shared by the storage backends
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Shared data sets and their content when nothing has been stored yet
+ */
+export const DEFAULT_DATA = {
+  lists: { lists: [] },
+  categories: { categories: {} },
+  tags: { tags: {} }
+};
+
+/**
+ * Write an uploaded file to the uploads directory and return its public URL
+ * Uploads stay plain files for every backend so static hosting can serve them
+ */
+export function saveUploadFile(uploadsDir, filename, buffer) {
+  if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  }
+
+  fs.writeFileSync(path.join(uploadsDir, filename), buffer);
+  return `/uploads/${filename}`;
+}
+
+/**
+ * List the files in the uploads directory as { filename, url, size, modifiedAt }
+ */
+export function listUploadFiles(uploadsDir) {
+  if (!fs.existsSync(uploadsDir)) return [];
+
+  return fs.readdirSync(uploadsDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => {
+      const stat = fs.statSync(path.join(uploadsDir, entry.name));
+      return {
+        filename: entry.name,
+        url: `/uploads/${entry.name}`,
+        size: stat.size,
+        modifiedAt: stat.mtime.toISOString()
+      };
+    });
+}
+
+/**
+ * Delete a file from the uploads directory
+ * @returns {Boolean} false if there was no such file
+ */
+export function deleteUploadFile(uploadsDir, filename) {
+  // Only plain file names, nothing outside the uploads directory
+  if (!filename || filename !== path.basename(filename) || filename.startsWith('.')) return false;
+
+  const filepath = path.join(uploadsDir, filename);
+  if (!fs.existsSync(filepath)) return false;
+  fs.unlinkSync(filepath);
+  return true;
+}
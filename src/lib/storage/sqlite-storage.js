@@ -0,0 +1,241 @@
+/**
+ * SQLite storage backend
+ * Keeps POIs, the shared data sets and revision history in a single database file
+ * Requires the optional better-sqlite3 dependency
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_DATA, saveUploadFile, listUploadFiles, deleteUploadFile } from './shared.js';
+import { StorageConflictError } from './errors.js';
+
+export async function createSqliteStorage({ file, uploadsDir }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error('The SQLite storage backend needs the "better-sqlite3" package: npm install better-sqlite3');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  // Wait for concurrent writers from other processes before reporting a conflict
+  db.pragma('busy_timeout = 2000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pois (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS data_sets (
+      name TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS trash (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS revisions (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      doc_id TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS revisions_doc ON revisions (kind, doc_id, seq);
+  `);
+
+  const statements = {
+    listPOIs: db.prepare('SELECT data FROM pois ORDER BY id'),
+    listPOIIds: db.prepare('SELECT id FROM pois ORDER BY id'),
+    getPOI: db.prepare('SELECT data FROM pois WHERE id = ?'),
+    hasPOI: db.prepare('SELECT 1 FROM pois WHERE id = ?'),
+    savePOI: db.prepare('INSERT INTO pois (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+    deletePOI: db.prepare('DELETE FROM pois WHERE id = ?'),
+    readData: db.prepare('SELECT data FROM data_sets WHERE name = ?'),
+    writeData: db.prepare('INSERT INTO data_sets (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data'),
+    listTrash: db.prepare('SELECT data FROM trash ORDER BY id'),
+    getTrash: db.prepare('SELECT data FROM trash WHERE id = ?'),
+    saveTrash: db.prepare('INSERT INTO trash (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+    deleteTrash: db.prepare('DELETE FROM trash WHERE id = ?'),
+    listRevisions: db.prepare('SELECT data FROM revisions WHERE kind = ? AND doc_id = ? ORDER BY seq'),
+    listRevisionIds: db.prepare('SELECT DISTINCT doc_id FROM revisions WHERE kind = ? ORDER BY doc_id'),
+    appendRevision: db.prepare('INSERT INTO revisions (kind, doc_id, data) VALUES (?, ?, ?)')
+  };
+
+  function checkDataName(name) {
+    if (!DEFAULT_DATA[name]) {
+      throw new Error(`Unknown data set "${name}"`);
+    }
+  }
+
+  function readDataRow(name) {
+    const row = statements.readData.get(name);
+    return row ? JSON.parse(row.data) : structuredClone(DEFAULT_DATA[name]);
+  }
+
+  // Run a write, turning a busy database into a conflict
+  function runWrite(name, fn) {
+    try {
+      return fn();
+    } catch (error) {
+      if (error.code === 'SQLITE_BUSY') {
+        throw new StorageConflictError(`${name} is being saved by someone else, please try again`);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: 'sqlite',
+
+    async listPOIs() {
+      return statements.listPOIs.all().map(row => JSON.parse(row.data));
+    },
+
+    async listPOIIds() {
+      return statements.listPOIIds.all().map(row => row.id);
+    },
+
+    async getPOI(id) {
+      const row = statements.getPOI.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async savePOI(poi) {
+      statements.savePOI.run(poi.properties.id, JSON.stringify(poi));
+    },
+
+    /**
+     * Replace a POI inside an immediate transaction
+     * mutate(current) is synchronous, gets the stored POI (or null) and returns
+     * the POI to save; returning null leaves the stored POI untouched
+     */
+    async updatePOI(id, mutate) {
+      const update = db.transaction(() => {
+        const row = statements.getPOI.get(id);
+        const poi = mutate(row ? JSON.parse(row.data) : null);
+        if (poi === null) return null;
+
+        statements.savePOI.run(id, JSON.stringify(poi));
+        return poi;
+      });
+      return runWrite(id, () => update.immediate());
+    },
+
+    /**
+     * Move a POI to the trash; the optional check(current, lists) runs inside the
+     * transaction and can veto the delete by returning false
+     * Returns the trashed POI, or null when nothing was deleted
+     */
+    async trashPOI(id, check = () => true, { deletedBy = null } = {}) {
+      const trash = db.transaction(() => {
+        const row = statements.getPOI.get(id);
+        if (!row) return null;
+        const poi = JSON.parse(row.data);
+        if (!check(poi, readDataRow('lists').lists)) return null;
+
+        const entry = { deletedAt: new Date().toISOString(), deletedBy, poi };
+        statements.saveTrash.run(id, JSON.stringify(entry));
+        statements.deletePOI.run(id);
+        return poi;
+      });
+      return runWrite(id, () => trash.immediate());
+    },
+
+    async listTrashedPOIs() {
+      return statements.listTrash.all().map(row => JSON.parse(row.data));
+    },
+
+    async getTrashedPOI(id) {
+      const row = statements.getTrash.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async saveTrashedPOI(entry) {
+      const id = entry.poi.properties.id;
+      runWrite(id, () => statements.saveTrash.run(id, JSON.stringify(entry)));
+    },
+
+    /**
+     * Move a POI back out of the trash
+     * prepare(poi) runs under the lock and returns the POI to save, e.g. with a new status
+     * Returns the restored POI, or null when it is not in the trash
+     */
+    async restoreTrashedPOI(id, prepare = poi => poi) {
+      const restore = db.transaction(() => {
+        const row = statements.getTrash.get(id);
+        if (!row) return null;
+        if (statements.getPOI.get(id)) {
+          throw new StorageConflictError(`A POI with the ID "${id}" exists already`);
+        }
+
+        const poi = prepare(JSON.parse(row.data).poi);
+        statements.savePOI.run(id, JSON.stringify(poi));
+        statements.deleteTrash.run(id);
+        return poi;
+      });
+      return runWrite(id, () => restore.immediate());
+    },
+
+    /**
+     * Delete a POI from the trash for good
+     */
+    async purgeTrashedPOI(id) {
+      return runWrite(id, () => statements.deleteTrash.run(id).changes > 0);
+    },
+
+    async readData(name) {
+      checkDataName(name);
+      return readDataRow(name);
+    },
+
+    async writeData(name, data) {
+      checkDataName(name);
+      runWrite(name, () => statements.writeData.run(name, JSON.stringify(data)));
+    },
+
+    /**
+     * Read-modify-write a data set inside an immediate transaction
+     * mutate(data) is synchronous, changes data in place and returns a result;
+     * returning null leaves the stored data untouched
+     */
+    async updateData(name, mutate) {
+      checkDataName(name);
+      const update = db.transaction(() => {
+        const data = readDataRow(name);
+        const result = mutate(data, { hasPOI: id => !!statements.hasPOI.get(id) });
+        if (result === null) return null;
+        statements.writeData.run(name, JSON.stringify(data));
+        return result;
+      });
+      return runWrite(name, () => update.immediate());
+    },
+
+    async listRevisions(kind, id) {
+      return statements.listRevisions.all(kind, id).map(row => JSON.parse(row.data));
+    },
+
+    async listRevisionIds(kind) {
+      return statements.listRevisionIds.all(kind).map(row => row.doc_id);
+    },
+
+    async appendRevision(kind, id, revision) {
+      runWrite(`${kind}/${id} history`, () => statements.appendRevision.run(kind, id, JSON.stringify(revision)));
+    },
+
+    async saveUpload(filename, buffer) {
+      return saveUploadFile(uploadsDir, filename, buffer);
+    },
+
+    async listUploads() {
+      return listUploadFiles(uploadsDir);
+    },
+
+    async deleteUpload(filename) {
+      return deleteUploadFile(uploadsDir, filename);
+    }
+  };
+}
+
+export default createSqliteStorage;
@@ -0,0 +1,72 @@
+/**
+ * Validity windows for seasonal and time-limited POIs
+ * validFrom / validTo are inclusive dates (YYYY-MM-DD), season is a yearly recurring
+ * { from, to } range of month-days (MM-DD) that may wrap around New Year.
+ * Dates are calendar days in Vienna, wherever the map is viewed from
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_DAY_PATTERN = /^\d{2}-\d{2}$/;
+
+/**
+ * Check for a real calendar date as YYYY-MM-DD
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check for a real month-day as MM-DD (29 February allowed)
+ */
+export function isValidMonthDay(value) {
+  return typeof value === 'string' && MONTH_DAY_PATTERN.test(value) && isValidDate(`2024-${value}`);
+}
+
+/**
+ * Get the date in Vienna as YYYY-MM-DD
+ */
+export function viennaDate(date = new Date()) {
+  // Swedish date format is ISO 8601
+  return date.toLocaleDateString('sv-SE', { timeZone: 'Europe/Vienna' });
+}
+
+function inSeason(season, monthDay) {
+  const { from, to } = season;
+  return from <= to
+    ? monthDay >= from && monthDay <= to
+    : monthDay >= from || monthDay <= to;
+}
+
+/**
+ * Whether a POI has any validity window at all
+ */
+export function hasValidity(props) {
+  return !!(props.validFrom || props.validTo || props.season);
+}
+
+/**
+ * Where a POI stands in time: "active", "upcoming" or "expired"
+ * Out of season counts as upcoming, since the next season is always ahead
+ */
+export function getValidityState(props, date = new Date()) {
+  const today = viennaDate(date);
+  if (props.validTo && today > props.validTo) return 'expired';
+  if (props.validFrom && today < props.validFrom) return 'upcoming';
+  if (props.season && !inSeason(props.season, today.slice(5))) return 'upcoming';
+  return 'active';
+}
+
+export function isActive(props, date = new Date()) {
+  return getValidityState(props, date) === 'active';
+}
+
+export default {
+  isValidDate,
+  isValidMonthDay,
+  viennaDate,
+  hasValidity,
+  getValidityState,
+  isActive
+};
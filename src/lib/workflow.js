@@ -0,0 +1,92 @@
+/**
+ * Editorial workflow for POIs and lists
+ * New content starts as a draft, is submitted for review and goes live once an admin approves it.
+ * Content saved before the workflow existed has no status and counts as published
+ */
+
+export const STATUSES = ['draft', 'review', 'published'];
+
+/**
+ * Workflow actions: the statuses they start from, the status they lead to
+ * and the role needed to take them
+ */
+export const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'review', role: 'editor' },
+  approve: { from: ['draft', 'review'], to: 'published', role: 'admin' },
+  reject: { from: ['review'], to: 'draft', role: 'admin' }
+};
+
+/**
+ * Get the status of a POI (status in properties) or list (status on the list)
+ */
+export function getStatus(doc) {
+  const status = doc?.type === 'Feature' ? doc.properties?.status : doc?.status;
+  return status || 'published';
+}
+
+export function isPublished(doc) {
+  return getStatus(doc) === 'published';
+}
+
+/**
+ * Return a copy of a POI or list with a new status, or without one when status is undefined
+ */
+export function withStatus(doc, status) {
+  const copy = doc.type === 'Feature'
+    ? { ...doc, properties: { ...doc.properties, status } }
+    : { ...doc, status };
+  if (status === undefined) {
+    delete (copy.type === 'Feature' ? copy.properties : copy).status;
+  }
+  return copy;
+}
+
+/**
+ * Carry the status of the stored version over to an edited one,
+ * so the status only changes through the workflow actions
+ */
+export function keepStatus(doc, current) {
+  return withStatus(doc, current.type === 'Feature' ? current.properties.status : current.status);
+}
+
+/**
+ * Status of an edited or restored POI or list; current is the stored version, or null
+ * when a deleted one is brought back. Editors' changes to published content go back to review,
+ * so they only reach the public site once an admin approves them; otherwise the status is kept
+ */
+export function statusAfterEdit(doc, current, user) {
+  if (user?.role !== 'admin' && isPublished(current || doc)) {
+    return withStatus(doc, 'review');
+  }
+  return current ? keepStatus(doc, current) : doc;
+}
+
+/**
+ * Reduce lists to what the public site may show:
+ * published lists, with stops that are not published left out
+ */
+export function publishedLists(lists, pois) {
+  const publishedIds = new Set(pois.filter(isPublished).map(poi => poi.properties.id));
+  return lists
+    .filter(isPublished)
+    .map(list => ({ ...list, pois: (list.pois || []).filter(id => publishedIds.has(id)) }));
+}
+
+/**
+ * Whether a request may see drafts: only logged-in users asking for them with ?drafts=1
+ */
+export function wantsDrafts(url, locals) {
+  return !!locals?.user && url.searchParams.get('drafts') === '1';
+}
+
+export default {
+  STATUSES,
+  TRANSITIONS,
+  getStatus,
+  isPublished,
+  withStatus,
+  keepStatus,
+  statusAfterEdit,
+  publishedLists,
+  wantsDrafts
+};
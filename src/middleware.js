@@ -0,0 +1,30 @@
+import { defineMiddleware } from 'astro:middleware';
+import { getSessionUser, hasRole, requiredRole } from './lib/auth.js';
+
+// Resolve the session user for every request and guard the CMS and write APIs
+export const onRequest = defineMiddleware(async (context, next) => {
+  // Static pages are built without a visitor
+  if (context.isPrerendered) {
+    return next();
+  }
+
+  const user = getSessionUser(context.cookies);
+  context.locals.user = user;
+
+  const role = requiredRole(context.request.method, context.url.pathname);
+  if (!role || hasRole(user, role)) {
+    return next();
+  }
+
+  if (!context.url.pathname.startsWith('/api/')) {
+    const target = context.url.pathname + context.url.search;
+    return context.redirect(`/login?next=${encodeURIComponent(target)}`);
+  }
+
+  return new Response(JSON.stringify({ error: user ? `The ${role} role is required` : 'Login required' }), {
+    status: user ? 403 : 401,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+});
@@ -0,0 +1,40 @@
+import { authenticate, createSessionToken, SESSION_COOKIE, SESSION_MAX_AGE } from '../../../lib/auth.js';
+
+// POST /api/auth/login - Start a session ({ username, password })
+export async function POST({ request, cookies, url }) {
+  try {
+    const { username, password } = await request.json();
+    const user = authenticate(username, password);
+
+    if (!user) {
+      return new Response(JSON.stringify({ error: 'Invalid username or password' }), {
+        status: 401,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    cookies.set(SESSION_COOKIE, createSessionToken(user.username), {
+      path: '/',
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: url.protocol === 'https:',
+      maxAge: SESSION_MAX_AGE
+    });
+
+    return new Response(JSON.stringify({ success: true, user }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
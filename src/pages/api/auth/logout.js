@@ -0,0 +1,13 @@
+import { SESSION_COOKIE } from '../../../lib/auth.js';
+
+// POST /api/auth/logout - End the session
+export async function POST({ cookies }) {
+  cookies.delete(SESSION_COOKIE, { path: '/' });
+
+  return new Response(JSON.stringify({ success: true }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+}
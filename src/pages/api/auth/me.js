@@ -0,0 +1,18 @@
+// GET /api/auth/me - Get the logged-in user
+export async function GET({ locals }) {
+  if (!locals.user) {
+    return new Response(JSON.stringify({ error: 'Not logged in' }), {
+      status: 401,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  return new Response(JSON.stringify({ user: locals.user }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+}
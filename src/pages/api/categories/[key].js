@@ -0,0 +1,194 @@
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validateCategory, validationErrorResponse } from '../../../lib/schema.js';
+import { getAuthor } from '../../../lib/revisions.js';
+import { reassignCategory, pruneCategoryAttributes } from '../../../lib/poi-service.js';
+
+// Rebuild the categories object with newKey in place of (or right after) oldKey,
+// so renamed categories keep their position in the filter
+function placeCategory(categories, oldKey, newKey, category, { keepOld = false } = {}) {
+  const result = {};
+  Object.entries(categories).forEach(([key, value]) => {
+    if (key === oldKey) {
+      if (keepOld) result[key] = value;
+      result[newKey] = category;
+    } else if (key !== newKey) {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+// GET /api/categories/[key] - Get single category
+export async function GET({ params }) {
+  try {
+    const { key } = params;
+    const storage = await getStorage();
+    const { categories } = await storage.readData('categories');
+
+    if (!categories[key]) {
+      return new Response(JSON.stringify({ error: 'Category not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    return new Response(JSON.stringify(categories[key]), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+// PUT /api/categories/[key] - Update category ({ key, name, emoji, icon, color, attributes })
+// A different key renames the category and moves all its POIs to the new key;
+// POI attribute values the new attribute schema no longer allows are dropped
+export async function PUT({ params, request, locals }) {
+  try {
+    const { key } = params;
+    const storage = await getStorage();
+    const { key: newKey = key, ...fields } = await request.json();
+
+    const { categories } = await storage.readData('categories');
+    if (!categories[key]) {
+      return new Response(JSON.stringify({ error: 'Category not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const category = { ...categories[key], ...fields };
+    // An empty attribute schema removes it
+    if (category.attributes && Object.keys(category.attributes).length === 0) {
+      delete category.attributes;
+    }
+    const errors = validateCategory(newKey, category);
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const renaming = newKey !== key;
+    let found = false;
+    let taken = false;
+    await storage.updateData('categories', data => {
+      if (!data.categories[key]) return null;
+      found = true;
+
+      if (renaming && data.categories[newKey]) {
+        taken = true;
+        return null;
+      }
+
+      // While renaming, keep the old key until no POI uses it anymore
+      data.categories = placeCategory(data.categories, key, newKey, category, { keepOld: renaming });
+      return category;
+    });
+
+    if (!found) {
+      return new Response(JSON.stringify({ error: 'Category not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (taken) {
+      return new Response(JSON.stringify({ error: `Category "${newKey}" already exists, merge the categories instead` }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    let moved = 0;
+    let pruned = 0;
+    if (renaming) {
+      // Moving the POIs also drops their values the new schema doesn't allow
+      moved = await reassignCategory(storage, key, newKey, { author: getAuthor(locals) });
+      await storage.updateData('categories', data => {
+        delete data.categories[key];
+        return true;
+      });
+    } else if (fields.attributes !== undefined) {
+      pruned = await pruneCategoryAttributes(storage, key, { author: getAuthor(locals) });
+    }
+
+    return new Response(JSON.stringify({ success: true, key: newKey, category, moved, pruned }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+// DELETE /api/categories/[key] - Delete an unused category
+export async function DELETE({ params }) {
+  try {
+    const { key } = params;
+    const storage = await getStorage();
+
+    const poiCount = (await storage.listPOIs()).filter(poi => poi.properties.category === key).length;
+    if (poiCount > 0) {
+      return new Response(JSON.stringify({
+        error: `Category is still used by ${poiCount} POIs, merge it into another category instead`,
+        poiCount
+      }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const deleted = await storage.updateData('categories', data => {
+      if (!data.categories[key]) return null;
+      delete data.categories[key];
+      return true;
+    });
+
+    if (!deleted) {
+      return new Response(JSON.stringify({ error: 'Category not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -1,13 +1,11 @@
-import fs from 'fs';
-import path from 'path';
-
-const CATEGORIES_FILE = path.join(process.cwd(), 'public', 'data', 'categories.json');
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validateCategory, validationErrorResponse } from '../../../lib/schema.js';
 
 // GET /api/categories - Get all categories
 export async function GET() {
   try {
-    const content = fs.readFileSync(CATEGORIES_FILE, 'utf8');
-    const data = JSON.parse(content);
+    const storage = await getStorage();
+    const data = await storage.readData('categories');
 
     return new Response(JSON.stringify(data), {
       status: 200,
@@ -28,24 +26,39 @@ export async function GET() {
 // POST /api/categories - Add new category
 export async function POST({ request }) {
   try {
-    const { key, name } = await request.json();
+    const storage = await getStorage();
+    const { key, name, emoji, icon, color, attributes } = await request.json();
 
-    if (!key || !name) {
-      return new Response(JSON.stringify({ error: 'Category key and name are required' }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+    // New category, with default values for anything not given
+    const category = {
+      name: name,
+      emoji: emoji || '📍',
+      icon: icon || "<svg viewBox='0 0 24 24' fill='none' stroke='currentColor' stroke-width='2'><circle cx='12' cy='12' r='10'/><circle cx='12' cy='12' r='3'/></svg>",
+      color: color || '#6B7280'
+    };
+    if (attributes && Object.keys(attributes).length > 0) {
+      category.attributes = attributes;
     }
 
-    // Read current categories
-    const content = fs.readFileSync(CATEGORIES_FILE, 'utf8');
-    const data = JSON.parse(content);
+    const errors = validateCategory(key, category);
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
 
-    // Check if category already exists
-    if (data.categories[key]) {
-      return new Response(JSON.stringify({ error: 'Category already exists', category: data.categories[key] }), {
+    // Add new category unless it already exists (read-modify-write under a lock)
+    let existing = null;
+    await storage.updateData('categories', data => {
+      if (data.categories[key]) {
+        existing = data.categories[key];
+        return null;
+      }
+
+      data.categories[key] = category;
+      return category;
+    });
+
+    if (existing) {
+      return new Response(JSON.stringify({ error: 'Category already exists', category: existing }), {
         status: 409,
         headers: {
           'Content-Type': 'application/json'
@@ -53,18 +66,7 @@ export async function POST({ request }) {
       });
     }
 
-    // Add new category with default values
-    data.categories[key] = {
-      name: name,
-      emoji: '📍',
-      icon: "<svg viewBox='0 0 24 24' fill='none' stroke='currentColor' stroke-width='2'><circle cx='12' cy='12' r='10'/><circle cx='12' cy='12' r='3'/></svg>",
-      color: '#6B7280'
-    };
-
-    // Save back to file
-    fs.writeFileSync(CATEGORIES_FILE, JSON.stringify(data, null, 2));
-
-    return new Response(JSON.stringify({ success: true, category: data.categories[key] }), {
+    return new Response(JSON.stringify({ success: true, category }), {
       status: 201,
       headers: {
         'Content-Type': 'application/json'
@@ -72,7 +74,7 @@ export async function POST({ request }) {
     });
   } catch (error) {
     return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
+      status: error instanceof StorageConflictError ? 409 : 500,
       headers: {
         'Content-Type': 'application/json'
       }
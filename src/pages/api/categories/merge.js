@@ -0,0 +1,52 @@
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { getAuthor } from '../../../lib/revisions.js';
+import { reassignCategory } from '../../../lib/poi-service.js';
+
+// POST /api/categories/merge - Move all POIs of one category into another ({ from, into })
+// and delete the emptied category
+export async function POST({ request, locals }) {
+  try {
+    const storage = await getStorage();
+    const { from, into } = await request.json();
+
+    if (!from || !into || from === into) {
+      return new Response(JSON.stringify({ error: 'Provide two different categories as "from" and "into"' }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const { categories } = await storage.readData('categories');
+    const missing = [from, into].find(key => !categories[key]);
+    if (missing) {
+      return new Response(JSON.stringify({ error: `Category "${missing}" not found` }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const moved = await reassignCategory(storage, from, into, { author: getAuthor(locals) });
+    await storage.updateData('categories', data => {
+      delete data.categories[from];
+      return true;
+    });
+
+    return new Response(JSON.stringify({ success: true, moved }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
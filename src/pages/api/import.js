@@ -0,0 +1,154 @@
+import { getStorage, StorageConflictError } from '../../lib/storage/index.js';
+import { validatePOI } from '../../lib/schema.js';
+import { getAuthor } from '../../lib/revisions.js';
+import { createPOI, loadValidationContext } from '../../lib/poi-service.js';
+import { createDuplicateIndex, describeDuplicate } from '../../lib/duplicates.js';
+import { IMPORT_FORMATS, parseImport, mapImportRow, resolveCategory, resolveTag } from '../../lib/importers.js';
+
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024; // 5MB of text
+
+// Map every row to a POI and validate it
+// Likely duplicates of existing POIs and of earlier rows in the file are flagged, but still valid
+function previewRows(rows, context, mapping, existing) {
+  const previewed = [];
+  // Indexed by location, so each row is only compared with POIs and rows nearby
+  const existingIndex = createDuplicateIndex(existing);
+  const rowIndex = createDuplicateIndex();
+  const rowLines = new Map();
+  rows.forEach(({ line, data, errors: parseErrors }) => {
+    const poi = mapImportRow(data, { ...context, mapping });
+
+    // Geometry errors are already explained by the parser
+    const errors = [
+      ...parseErrors,
+      ...validatePOI(poi, context).filter(e => !(parseErrors.length > 0 && e.field.startsWith('geometry')))
+    ];
+
+    const duplicates = existingIndex.find(poi).map(describeDuplicate);
+    const duplicateLines = rowIndex.find(poi)
+      .map(match => rowLines.get(match.poi))
+      .sort((a, b) => a - b);
+
+    rowIndex.add(poi);
+    rowLines.set(poi, line);
+    previewed.push({ line, poi, errors, valid: errors.length === 0, duplicates, duplicateLines });
+  });
+  return previewed;
+}
+
+// Distinct category and tag values in the file, with the key each one maps to
+function collectSourceValues(rows, context, mapping) {
+  const categories = new Map();
+  const tags = new Map();
+
+  rows.forEach(({ data }) => {
+    if (!categories.has(data.category)) {
+      const key = resolveCategory(data.category, context.categories, mapping.categories);
+      categories.set(data.category, { value: data.category, key, known: !!context.categories[key] });
+    }
+    data.tags.forEach(tag => {
+      if (!tags.has(tag)) {
+        const key = resolveTag(tag, context.tags, mapping.tags);
+        tags.set(tag, { value: tag, key, known: !key || !!context.tags[key] });
+      }
+    });
+  });
+
+  return { sourceCategories: [...categories.values()], sourceTags: [...tags.values()] };
+}
+
+// POST /api/import - Preview or import POIs from CSV, GeoJSON or KML
+// Body: { format, content, mapping: { categories, tags }, commit, lines }
+// Without commit, returns every row with its POI and validation errors;
+// with commit, creates the valid rows (only those in lines, if given)
+export async function POST({ request, locals }) {
+  try {
+    const storage = await getStorage();
+    const { format, content, mapping = {}, commit = false, lines } = await request.json();
+
+    if (!IMPORT_FORMATS.includes(format) || typeof content !== 'string') {
+      return new Response(JSON.stringify({ error: `Provide the file content and a format (${IMPORT_FORMATS.join(', ')})` }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (content.length > MAX_IMPORT_SIZE) {
+      return new Response(JSON.stringify({ error: 'File too large. Maximum size is 5MB' }), {
+        status: 413,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseImport(format, content);
+    } catch (error) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const context = await loadValidationContext(storage);
+    const mappings = { categories: mapping.categories || {}, tags: mapping.tags || {} };
+    const rows = previewRows(parsed, context, mappings, await storage.listPOIs());
+
+    if (!commit) {
+      return new Response(JSON.stringify({
+        rows,
+        summary: {
+          total: rows.length,
+          valid: rows.filter(row => row.valid).length,
+          duplicates: rows.filter(row => row.duplicates.length > 0 || row.duplicateLines.length > 0).length
+        },
+        ...collectSourceValues(parsed, context, mappings)
+      }), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const selected = Array.isArray(lines) ? new Set(lines) : null;
+    const author = getAuthor(locals);
+    const created = [];
+    const skipped = [];
+
+    for (const row of rows) {
+      if (selected && !selected.has(row.line)) continue;
+      if (!row.valid) {
+        skipped.push({ line: row.line, errors: row.errors });
+        continue;
+      }
+
+      const result = await createPOI(storage, row.poi, { author, context });
+      if (result.errors) {
+        skipped.push({ line: row.line, errors: result.errors });
+      } else {
+        created.push({ line: row.line, id: result.id });
+      }
+    }
+
+    return new Response(JSON.stringify({ success: true, created, skipped }), {
+      status: 201,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
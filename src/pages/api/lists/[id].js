@@ -1,18 +1,19 @@
-import fs from 'fs';
-import path from 'path';
-
-const LISTS_FILE = path.join(process.cwd(), 'public', 'data', 'lists.json');
-
-// GET /api/lists/[id] - Get single list
-export async function GET({ params }) {
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validateList, validationErrorResponse } from '../../../lib/schema.js';
+import { computeEtag, ifMatchSatisfied, preconditionFailedResponse } from '../../../lib/etag.js';
+import { recordRevision, getAuthor } from '../../../lib/revisions.js';
+import { isPublished, statusAfterEdit } from '../../../lib/workflow.js';
+
+// GET /api/lists/[id] - Get single list, drafts only for logged-in users
+export async function GET({ params, locals }) {
   try {
     const { id } = params;
-    const content = fs.readFileSync(LISTS_FILE, 'utf8');
-    const data = JSON.parse(content);
+    const storage = await getStorage();
+    const data = await storage.readData('lists');
 
     const list = data.lists.find(l => l.id === id);
 
-    if (!list) {
+    if (!list || (!isPublished(list) && !locals.user)) {
       return new Response(JSON.stringify({ error: 'List not found' }), {
         status: 404,
         headers: {
@@ -24,7 +25,8 @@ export async function GET({ params }) {
     return new Response(JSON.stringify(list), {
       status: 200,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(list)
       }
     });
   } catch (error) {
@@ -37,18 +39,46 @@ export async function GET({ params }) {
   }
 }
 
-// PUT /api/lists/[id] - Update list
-export async function PUT({ params, request }) {
+// PUT /api/lists/[id] - Update list (honours If-Match)
+export async function PUT({ params, request, locals }) {
   try {
     const { id } = params;
+    const storage = await getStorage();
     const updatedList = await request.json();
 
-    const content = fs.readFileSync(LISTS_FILE, 'utf8');
-    const data = JSON.parse(content);
+    let previous = null;
+    let changed = null;
+    let errors = [];
+    const saved = await storage.updateData('lists', (data, { hasPOI }) => {
+      const index = data.lists.findIndex(l => l.id === id);
+      if (index === -1) return null;
+      previous = data.lists[index];
+
+      if (!ifMatchSatisfied(request, computeEtag(data.lists[index]))) {
+        changed = data.lists[index];
+        return null;
+      }
+
+      // Validate list fields and POI references; under the lock, so no referenced POI goes to the trash meanwhile
+      errors = validateList(updatedList, { poiIds: { has: hasPOI } });
+      if (errors.length > 0) return null;
+
+      // Preserve ID
+      updatedList.id = id;
 
-    const index = data.lists.findIndex(l => l.id === id);
+      data.lists[index] = statusAfterEdit(updatedList, data.lists[index], locals.user);
+      return data.lists[index];
+    });
+
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
 
-    if (index === -1) {
+    if (!previous) {
       return new Response(JSON.stringify({ error: 'List not found' }), {
         status: 404,
         headers: {
@@ -57,21 +87,18 @@ export async function PUT({ params, request }) {
       });
     }
 
-    // Preserve ID
-    updatedList.id = id;
-    data.lists[index] = updatedList;
+    await recordRevision(storage, 'lists', id, { action: 'update', author: getAuthor(locals), before: previous, after: saved });
 
-    fs.writeFileSync(LISTS_FILE, JSON.stringify(data, null, 2));
-
-    return new Response(JSON.stringify({ success: true, list: updatedList }), {
+    return new Response(JSON.stringify({ success: true, list: saved }), {
       status: 200,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(saved)
       }
     });
   } catch (error) {
     return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
+      status: error instanceof StorageConflictError ? 409 : 500,
       headers: {
         'Content-Type': 'application/json'
       }
@@ -79,16 +106,30 @@ export async function PUT({ params, request }) {
   }
 }
 
-// DELETE /api/lists/[id] - Delete list
-export async function DELETE({ params }) {
+// DELETE /api/lists/[id] - Delete list (honours If-Match)
+export async function DELETE({ params, request, locals }) {
   try {
     const { id } = params;
-    const content = fs.readFileSync(LISTS_FILE, 'utf8');
-    const data = JSON.parse(content);
+    const storage = await getStorage();
+
+    let changed = null;
+    const deleted = await storage.updateData('lists', data => {
+      const index = data.lists.findIndex(l => l.id === id);
+      if (index === -1) return null;
+
+      if (!ifMatchSatisfied(request, computeEtag(data.lists[index]))) {
+        changed = data.lists[index];
+        return null;
+      }
 
-    const index = data.lists.findIndex(l => l.id === id);
+      return data.lists.splice(index, 1)[0];
+    });
 
-    if (index === -1) {
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
+
+    if (!deleted) {
       return new Response(JSON.stringify({ error: 'List not found' }), {
         status: 404,
         headers: {
@@ -97,8 +138,7 @@ export async function DELETE({ params }) {
       });
     }
 
-    data.lists.splice(index, 1);
-    fs.writeFileSync(LISTS_FILE, JSON.stringify(data, null, 2));
+    await recordRevision(storage, 'lists', id, { action: 'delete', author: getAuthor(locals), before: deleted });
 
     return new Response(JSON.stringify({ success: true }), {
       status: 200,
@@ -108,7 +148,7 @@ export async function DELETE({ params }) {
     });
   } catch (error) {
     return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
+      status: error instanceof StorageConflictError ? 409 : 500,
       headers: {
         'Content-Type': 'application/json'
       }
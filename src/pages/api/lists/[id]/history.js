@@ -0,0 +1,24 @@
+import { getStorage } from '../../../../lib/storage/index.js';
+
+// GET /api/lists/[id]/history - List revisions of a list, newest first
+export async function GET({ params }) {
+  try {
+    const { id } = params;
+    const storage = await getStorage();
+    const revisions = await storage.listRevisions('lists', id);
+
+    return new Response(JSON.stringify({ id, revisions: revisions.reverse() }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
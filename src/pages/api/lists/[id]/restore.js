@@ -0,0 +1,86 @@
+import { getStorage, StorageConflictError } from '../../../../lib/storage/index.js';
+import { validateList, validationErrorResponse } from '../../../../lib/schema.js';
+import { computeEtag, ifMatchSatisfied, preconditionFailedResponse } from '../../../../lib/etag.js';
+import { findRevision, recordRevision, getAuthor } from '../../../../lib/revisions.js';
+import { statusAfterEdit } from '../../../../lib/workflow.js';
+
+// POST /api/lists/[id]/restore - Restore a revision ({ revision: "<revision id>" })
+// Also brings back deleted lists; honours If-Match when the list exists
+export async function POST({ params, request, locals }) {
+  try {
+    const { id } = params;
+    const storage = await getStorage();
+    const { revision: revisionId } = await request.json();
+
+    const revision = await findRevision(storage, 'lists', id, revisionId);
+    if (!revision || !revision.snapshot) {
+      return new Response(JSON.stringify({ error: 'Revision not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const list = structuredClone(revision.snapshot);
+    list.id = id;
+
+    let previous = null;
+    let changed = null;
+    let errors = [];
+    const saved = await storage.updateData('lists', (data, { hasPOI }) => {
+      // POIs in the list may have been deleted since the revision was saved;
+      // checked under the lock, so none of them goes to the trash before the list is saved
+      errors = validateList(list, { poiIds: { has: hasPOI } });
+      if (errors.length > 0) return null;
+
+      const index = data.lists.findIndex(l => l.id === id);
+      if (index === -1) {
+        data.lists.push(statusAfterEdit(list, null, locals.user));
+        return data.lists[data.lists.length - 1];
+      }
+      previous = data.lists[index];
+
+      if (!ifMatchSatisfied(request, computeEtag(previous))) {
+        changed = previous;
+        return null;
+      }
+
+      // Restoring is an edit: it does not publish content, and editors' restores of published content need review
+      data.lists[index] = statusAfterEdit(list, previous, locals.user);
+      return data.lists[index];
+    });
+
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // The stored list, with the status the restore gave it
+    await recordRevision(storage, 'lists', id, {
+      action: 'restore',
+      author: getAuthor(locals),
+      before: previous,
+      after: saved,
+      restoredFrom: revision.id
+    });
+
+    return new Response(JSON.stringify({ success: true, list: saved }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(saved)
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import { getStorage, StorageConflictError } from '../../../../lib/storage/index.js';
+import { computeEtag, ifMatchSatisfied, preconditionFailedResponse } from '../../../../lib/etag.js';
+import { recordRevision, getAuthor } from '../../../../lib/revisions.js';
+import { hasRole } from '../../../../lib/auth.js';
+import { TRANSITIONS, getStatus, withStatus } from '../../../../lib/workflow.js';
+
+// POST /api/lists/[id]/status - Submit, approve or reject a list ({ action })
+// Honours If-Match; approving and rejecting need an admin
+export async function POST({ params, request, locals }) {
+  try {
+    const { id } = params;
+    const storage = await getStorage();
+    const { action } = await request.json();
+
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      return new Response(JSON.stringify({ error: `Action must be one of: ${Object.keys(TRANSITIONS).join(', ')}` }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (!hasRole(locals.user, transition.role)) {
+      return new Response(JSON.stringify({ error: `The ${transition.role} role is required` }), {
+        status: 403,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    let previous = null;
+    let changed = null;
+    let blocked = false;
+    const saved = await storage.updateData('lists', data => {
+      const index = data.lists.findIndex(l => l.id === id);
+      if (index === -1) return null;
+      previous = data.lists[index];
+
+      if (!ifMatchSatisfied(request, computeEtag(previous))) {
+        changed = previous;
+        return null;
+      }
+      if (!transition.from.includes(getStatus(previous))) {
+        blocked = true;
+        return null;
+      }
+
+      data.lists[index] = withStatus(previous, transition.to);
+      return data.lists[index];
+    });
+
+    if (!previous) {
+      return new Response(JSON.stringify({ error: 'List not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
+
+    if (blocked) {
+      return new Response(JSON.stringify({
+        error: `Cannot ${action} a list with status "${getStatus(previous)}"`,
+        status: getStatus(previous)
+      }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    await recordRevision(storage, 'lists', id, { action, author: getAuthor(locals), before: previous, after: saved });
+
+    return new Response(JSON.stringify({ success: true, list: saved }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(saved)
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
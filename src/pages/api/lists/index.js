@@ -1,20 +1,16 @@
-import fs from 'fs';
-import path from 'path';
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validateList, validationErrorResponse } from '../../../lib/schema.js';
+import { recordRevision, getAuthor } from '../../../lib/revisions.js';
+import { publishedLists, wantsDrafts } from '../../../lib/workflow.js';
 
-const LISTS_FILE = path.join(process.cwd(), 'public', 'data', 'lists.json');
-
-// Ensure lists file exists
-if (!fs.existsSync(LISTS_FILE)) {
-  fs.writeFileSync(LISTS_FILE, JSON.stringify({ lists: [] }, null, 2));
-}
-
-// GET /api/lists - List all lists
-export async function GET() {
+// GET /api/lists - List published lists, or all lists for logged-in users with ?drafts=1
+export async function GET({ url, locals }) {
   try {
-    const content = fs.readFileSync(LISTS_FILE, 'utf8');
-    const data = JSON.parse(content);
+    const storage = await getStorage();
+    const data = await storage.readData('lists');
+    const visible = wantsDrafts(url, locals) ? data.lists : publishedLists(data.lists, await storage.listPOIs());
 
-    return new Response(JSON.stringify(data.lists), {
+    return new Response(JSON.stringify(visible), {
       status: 200,
       headers: {
         'Content-Type': 'application/json'
@@ -31,23 +27,31 @@ export async function GET() {
 }
 
 // POST /api/lists - Create new list
-export async function POST({ request }) {
+export async function POST({ request, locals }) {
   try {
+    const storage = await getStorage();
     const list = await request.json();
 
     // Generate unique ID
     const id = `list_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    list.id = id;
 
-    // Read current lists
-    const content = fs.readFileSync(LISTS_FILE, 'utf8');
-    const data = JSON.parse(content);
+    // Add new list (read-modify-write under a lock)
+    // POI references are checked under the lock, so none of them can go to the trash before the list is saved
+    let errors = [];
+    await storage.updateData('lists', (data, { hasPOI }) => {
+      errors = validateList(list, { poiIds: { has: hasPOI } });
+      if (errors.length > 0) return null;
 
-    // Add new list
-    data.lists.push(list);
-
-    // Save back to file
-    fs.writeFileSync(LISTS_FILE, JSON.stringify(data, null, 2));
+      list.id = id;
+      // New lists always start as drafts, publishing goes through the review workflow
+      list.status = 'draft';
+      data.lists.push(list);
+      return list;
+    });
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+    await recordRevision(storage, 'lists', id, { action: 'create', author: getAuthor(locals), after: list });
 
     return new Response(JSON.stringify({ success: true, id, list }), {
       status: 201,
@@ -57,7 +61,7 @@ export async function POST({ request }) {
     });
   } catch (error) {
     return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
+      status: error instanceof StorageConflictError ? 409 : 500,
       headers: {
         'Content-Type': 'application/json'
       }
@@ -0,0 +1,44 @@
+import { getStorage } from '../../../lib/storage/index.js';
+import { findUploadReferences, deleteUploadGroup } from '../../../lib/media.js';
+
+// DELETE /api/media/[key] - Delete every file of an upload that no POI, trashed POI or revision uses
+export async function DELETE({ params }) {
+  try {
+    const { key } = params;
+    const storage = await getStorage();
+
+    const usedBy = (await findUploadReferences(storage)).get(key);
+    if (usedBy) {
+      return new Response(JSON.stringify({ error: 'Upload is still used', usedBy }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const deleted = await deleteUploadGroup(storage, key);
+    if (deleted === 0) {
+      return new Response(JSON.stringify({ error: 'Upload not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, deleted }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -0,0 +1,24 @@
+import { getStorage } from '../../../lib/storage/index.js';
+import { getMediaLibrary } from '../../../lib/media.js';
+
+// GET /api/media - List uploads grouped by upload, with their size and the POIs using them
+export async function GET() {
+  try {
+    const storage = await getStorage();
+    const media = await getMediaLibrary(storage);
+
+    return new Response(JSON.stringify(media), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -1,15 +1,20 @@
-import fs from 'fs';
-import path from 'path';
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validatePOI, validationErrorResponse } from '../../../lib/schema.js';
+import { computeEtag, ifMatchSatisfied, preconditionFailedResponse } from '../../../lib/etag.js';
+import { recordRevision, getAuthor } from '../../../lib/revisions.js';
+import { findReferencingLists, removePOIFromLists } from '../../../lib/list-references.js';
+import { updateTagCounts } from '../../../lib/poi-service.js';
+import { isPublished, statusAfterEdit } from '../../../lib/workflow.js';
+import { assignGraetzl } from '../../../lib/graetzl-assignment.js';
 
-const POIS_DIR = path.join(process.cwd(), 'public', 'data', 'pois');
-
-// GET /api/pois/[id] - Get single POI
-export async function GET({ params }) {
+// GET /api/pois/[id] - Get single POI, drafts only for logged-in users
+export async function GET({ params, locals }) {
   try {
     const { id } = params;
-    const filepath = path.join(POIS_DIR, `${id}.json`);
+    const storage = await getStorage();
+    const poi = await storage.getPOI(id);
 
-    if (!fs.existsSync(filepath)) {
+    if (!poi || (!isPublished(poi) && !locals.user)) {
       return new Response(JSON.stringify({ error: 'POI not found' }), {
         status: 404,
         headers: {
@@ -18,13 +23,11 @@ export async function GET({ params }) {
       });
     }
 
-    const content = fs.readFileSync(filepath, 'utf8');
-    const poi = JSON.parse(content);
-
     return new Response(JSON.stringify(poi), {
       status: 200,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(poi)
       }
     });
   } catch (error) {
@@ -37,13 +40,40 @@ export async function GET({ params }) {
   }
 }
 
-// PUT /api/pois/[id] - Update POI
-export async function PUT({ params, request }) {
+// PUT /api/pois/[id] - Update POI (honours If-Match)
+export async function PUT({ params, request, locals }) {
   try {
     const { id } = params;
-    const filepath = path.join(POIS_DIR, `${id}.json`);
+    const storage = await getStorage();
+    const poi = await request.json();
+
+    // Validate against categories and tags
+    const errors = validatePOI(poi, {
+      categories: (await storage.readData('categories')).categories,
+      tags: (await storage.readData('tags')).tags
+    });
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // Ensure ID is preserved
+    poi.properties = poi.properties || {};
+    poi.properties.id = id;
+
+    let previous = null;
+    let changed = null;
+    const saved = await storage.updatePOI(id, current => {
+      if (!current) return null;
+      previous = current;
+
+      if (!ifMatchSatisfied(request, computeEtag(current))) {
+        changed = current;
+        return null;
+      }
+      return statusAfterEdit(assignGraetzl(poi), current, locals.user);
+    });
 
-    if (!fs.existsSync(filepath)) {
+    if (!previous) {
       return new Response(JSON.stringify({ error: 'POI not found' }), {
         status: 404,
         headers: {
@@ -52,23 +82,23 @@ export async function PUT({ params, request }) {
       });
     }
 
-    const poi = await request.json();
-
-    // Ensure ID is preserved
-    poi.properties = poi.properties || {};
-    poi.properties.id = id;
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
 
-    fs.writeFileSync(filepath, JSON.stringify(poi, null, 2));
+    await recordRevision(storage, 'pois', id, { action: 'update', author: getAuthor(locals), before: previous, after: saved });
+    await updateTagCounts(storage, previous.properties.tags, saved.properties.tags);
 
-    return new Response(JSON.stringify({ success: true, poi }), {
+    return new Response(JSON.stringify({ success: true, poi: saved }), {
       status: 200,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(saved)
       }
     });
   } catch (error) {
     return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
+      status: error instanceof StorageConflictError ? 409 : 500,
       headers: {
         'Content-Type': 'application/json'
       }
@@ -76,13 +106,63 @@ export async function PUT({ params, request }) {
   }
 }
 
-// DELETE /api/pois/[id] - Delete POI
-export async function DELETE({ params }) {
+// DELETE /api/pois/[id] - Move POI to the trash (honours If-Match)
+// Lists that still reference the POI block the delete, unless ?onReferenced=remove
+// is given, which takes the POI out of those lists as well
+export async function DELETE({ params, request, locals }) {
   try {
     const { id } = params;
-    const filepath = path.join(POIS_DIR, `${id}.json`);
+    const storage = await getStorage();
+    const author = getAuthor(locals);
+
+    const onReferenced = new URL(request.url).searchParams.get('onReferenced') || 'block';
+    if (!['block', 'remove'].includes(onReferenced)) {
+      return new Response(JSON.stringify({ error: 'onReferenced must be "block" or "remove"' }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (!(await storage.getPOI(id))) {
+      return new Response(JSON.stringify({ error: 'POI not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    // The reference check runs together with the delete, so no list can pick up the POI in between
+    let changed = null;
+    let references = [];
+    const deleted = await storage.trashPOI(id, (current, lists) => {
+      if (!ifMatchSatisfied(request, computeEtag(current))) {
+        changed = current;
+        return false;
+      }
+      references = findReferencingLists(lists, id);
+      return references.length === 0 || onReferenced === 'remove';
+    }, { deletedBy: author });
 
-    if (!fs.existsSync(filepath)) {
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
+
+    if (references.length > 0 && onReferenced === 'block') {
+      return new Response(JSON.stringify({
+        error: 'POI is still used in lists or walks',
+        references
+      }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (!deleted) {
       return new Response(JSON.stringify({ error: 'POI not found' }), {
         status: 404,
         headers: {
@@ -91,9 +171,26 @@ export async function DELETE({ params }) {
       });
     }
 
-    fs.unlinkSync(filepath);
+    await recordRevision(storage, 'pois', id, { action: 'delete', author, before: deleted });
+    await updateTagCounts(storage, deleted.properties.tags, []);
+
+    // Take the POI out of every list, including ones that picked it up in the meantime
+    let listChanges = [];
+    if (onReferenced === 'remove') {
+      listChanges = await storage.updateData('lists', data => {
+        const changes = removePOIFromLists(data.lists, id);
+        return changes.length > 0 ? changes : null;
+      }) || [];
+
+      for (const { before, after } of listChanges) {
+        await recordRevision(storage, 'lists', after.id, { action: 'update', author, before, after });
+      }
+    }
 
-    return new Response(JSON.stringify({ success: true }), {
+    return new Response(JSON.stringify({
+      success: true,
+      removedFrom: listChanges.map(({ after }) => after.id)
+    }), {
       status: 200,
       headers: {
         'Content-Type': 'application/json'
@@ -101,7 +198,7 @@ export async function DELETE({ params }) {
     });
   } catch (error) {
     return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
+      status: error instanceof StorageConflictError ? 409 : 500,
       headers: {
         'Content-Type': 'application/json'
       }
@@ -0,0 +1,52 @@
+import { getStorage, StorageConflictError } from '../../../../lib/storage/index.js';
+import { validationErrorResponse } from '../../../../lib/schema.js';
+import { getAuthor } from '../../../../lib/revisions.js';
+import { mergePOIs } from '../../../../lib/poi-service.js';
+
+// POST /api/pois/[id]/merge - Merge this POI into a duplicate ({ into })
+// The other POI is kept and takes this one's place in every list; this POI moves to the trash
+export async function POST({ params, request, locals }) {
+  try {
+    const { id } = params;
+    const { into } = await request.json();
+
+    if (!into || into === id) {
+      return new Response(JSON.stringify({ error: 'Provide another POI as "into"' }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const storage = await getStorage();
+    const result = await mergePOIs(storage, id, into, { author: getAuthor(locals) });
+
+    if (!result) {
+      return new Response(JSON.stringify({ error: 'POI not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (result.errors) {
+      return validationErrorResponse(result.errors);
+    }
+
+    return new Response(JSON.stringify({ success: true, id: into, poi: result.poi, lists: result.lists }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -0,0 +1,86 @@
+import { getStorage, StorageConflictError } from '../../../../lib/storage/index.js';
+import { validatePOI, validationErrorResponse } from '../../../../lib/schema.js';
+import { computeEtag, ifMatchSatisfied, preconditionFailedResponse } from '../../../../lib/etag.js';
+import { findRevision, recordRevision, getAuthor } from '../../../../lib/revisions.js';
+import { updateTagCounts } from '../../../../lib/poi-service.js';
+import { statusAfterEdit } from '../../../../lib/workflow.js';
+import { assignGraetzl } from '../../../../lib/graetzl-assignment.js';
+
+// POST /api/pois/[id]/restore - Restore a revision ({ revision: "<revision id>" })
+// Also brings back deleted POIs; honours If-Match when the POI exists
+export async function POST({ params, request, locals }) {
+  try {
+    const { id } = params;
+    const storage = await getStorage();
+    const { revision: revisionId } = await request.json();
+
+    const revision = await findRevision(storage, 'pois', id, revisionId);
+    if (!revision || !revision.snapshot) {
+      return new Response(JSON.stringify({ error: 'Revision not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    // Revisions from before the Grätzl assignment, or from older boundaries, get the current Grätzl
+    const poi = assignGraetzl(structuredClone(revision.snapshot));
+    poi.properties.id = id;
+
+    // Categories or tags may have been removed since the revision was saved
+    const errors = validatePOI(poi, {
+      categories: (await storage.readData('categories')).categories,
+      tags: (await storage.readData('tags')).tags
+    });
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    let previous = null;
+    let changed = null;
+    const saved = await storage.updatePOI(id, current => {
+      previous = current;
+
+      if (current && !ifMatchSatisfied(request, computeEtag(current))) {
+        changed = current;
+        return null;
+      }
+      // Restoring is an edit: it does not publish content, and editors' restores of published content need review
+      return statusAfterEdit(poi, current, locals.user);
+    });
+
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
+
+    // A deleted POI is live again, so its trash copy is obsolete
+    if (!previous) {
+      await storage.purgeTrashedPOI(id);
+    }
+
+    await recordRevision(storage, 'pois', id, {
+      action: 'restore',
+      author: getAuthor(locals),
+      before: previous,
+      after: saved,
+      restoredFrom: revision.id
+    });
+    await updateTagCounts(storage, previous?.properties.tags, saved.properties.tags);
+
+    return new Response(JSON.stringify({ success: true, poi: saved }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(saved)
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -0,0 +1,94 @@
+import { getStorage, StorageConflictError } from '../../../../lib/storage/index.js';
+import { computeEtag, ifMatchSatisfied, preconditionFailedResponse } from '../../../../lib/etag.js';
+import { recordRevision, getAuthor } from '../../../../lib/revisions.js';
+import { hasRole } from '../../../../lib/auth.js';
+import { TRANSITIONS, getStatus, withStatus } from '../../../../lib/workflow.js';
+
+// POST /api/pois/[id]/status - Submit, approve or reject a POI ({ action })
+// Honours If-Match; approving and rejecting need an admin
+export async function POST({ params, request, locals }) {
+  try {
+    const { id } = params;
+    const storage = await getStorage();
+    const { action } = await request.json();
+
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      return new Response(JSON.stringify({ error: `Action must be one of: ${Object.keys(TRANSITIONS).join(', ')}` }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (!hasRole(locals.user, transition.role)) {
+      return new Response(JSON.stringify({ error: `The ${transition.role} role is required` }), {
+        status: 403,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    let previous = null;
+    let changed = null;
+    let blocked = false;
+    const saved = await storage.updatePOI(id, current => {
+      if (!current) return null;
+      previous = current;
+
+      if (!ifMatchSatisfied(request, computeEtag(current))) {
+        changed = current;
+        return null;
+      }
+      if (!transition.from.includes(getStatus(current))) {
+        blocked = true;
+        return null;
+      }
+      return withStatus(current, transition.to);
+    });
+
+    if (!previous) {
+      return new Response(JSON.stringify({ error: 'POI not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (changed) {
+      return preconditionFailedResponse(changed);
+    }
+
+    if (blocked) {
+      return new Response(JSON.stringify({
+        error: `Cannot ${action} a POI with status "${getStatus(previous)}"`,
+        status: getStatus(previous)
+      }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    await recordRevision(storage, 'pois', id, { action, author: getAuthor(locals), before: previous, after: saved });
+
+    return new Response(JSON.stringify({ success: true, poi: saved }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(saved)
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -0,0 +1,36 @@
+import { getStorage } from '../../../lib/storage/index.js';
+import { findDuplicates } from '../../../lib/duplicates.js';
+
+// POST /api/pois/duplicates - Find likely duplicates of a POI before saving it
+// Body: a POI feature with name and coordinates; with properties.id, that POI itself is skipped.
+// Drafts are compared too, so this needs a login like every POST
+export async function POST({ request }) {
+  try {
+    const poi = await request.json();
+    if (!poi || !poi.properties || !poi.geometry) {
+      return new Response(JSON.stringify({ error: 'Provide a POI feature with properties and geometry' }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const storage = await getStorage();
+    const duplicates = findDuplicates(poi, await storage.listPOIs());
+
+    return new Response(JSON.stringify({ duplicates }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -1,27 +1,17 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const POIS_DIR = path.join(process.cwd(), 'public', 'data', 'pois');
-
-// Ensure POIs directory exists
-if (!fs.existsSync(POIS_DIR)) {
-  fs.mkdirSync(POIS_DIR, { recursive: true });
-}
-
-// GET /api/pois - List all POIs
-export async function GET() {
+import { getStorage } from '../../../lib/storage/index.js';
+import { validationErrorResponse } from '../../../lib/schema.js';
+import { getAuthor } from '../../../lib/revisions.js';
+import { createPOI } from '../../../lib/poi-service.js';
+import { isPublished, wantsDrafts } from '../../../lib/workflow.js';
+
+// GET /api/pois - List published POIs, or all POIs for logged-in users with ?drafts=1
+export async function GET({ url, locals }) {
   try {
-    const files = fs.readdirSync(POIS_DIR).filter(f => f.endsWith('.json'));
-    const pois = files.map(file => {
-      const content = fs.readFileSync(path.join(POIS_DIR, file), 'utf8');
-      return JSON.parse(content);
-    });
+    const storage = await getStorage();
+    const pois = await storage.listPOIs();
+    const visible = wantsDrafts(url, locals) ? pois : pois.filter(isPublished);
 
-    return new Response(JSON.stringify(pois), {
+    return new Response(JSON.stringify(visible), {
       status: 200,
       headers: {
         'Content-Type': 'application/json'
@@ -38,20 +28,14 @@ export async function GET() {
 }
 
 // POST /api/pois - Create new POI
-export async function POST({ request }) {
+export async function POST({ request, locals }) {
   try {
-    const poi = await request.json();
-
-    // Generate unique ID based on timestamp and random string
-    const id = `poi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // Add ID to POI
-    poi.properties = poi.properties || {};
-    poi.properties.id = id;
-
-    // Save to file
-    const filepath = path.join(POIS_DIR, `${id}.json`);
-    fs.writeFileSync(filepath, JSON.stringify(poi, null, 2));
+    const storage = await getStorage();
+    const result = await createPOI(storage, await request.json(), { author: getAuthor(locals) });
+    if (result.errors) {
+      return validationErrorResponse(result.errors);
+    }
+    const { id, poi } = result;
 
     return new Response(JSON.stringify({ success: true, id, poi }), {
       status: 201,
@@ -0,0 +1,170 @@
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validateTag, validationErrorResponse } from '../../../lib/schema.js';
+import { getAuthor } from '../../../lib/revisions.js';
+import { replaceTag, recountTags } from '../../../lib/poi-service.js';
+
+// GET /api/tags/[key] - Get single tag
+export async function GET({ params }) {
+  try {
+    const { key } = params;
+    const storage = await getStorage();
+    const { tags } = await storage.readData('tags');
+
+    if (!tags[key]) {
+      return new Response(JSON.stringify({ error: 'Tag not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    return new Response(JSON.stringify(tags[key]), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+// PUT /api/tags/[key] - Update tag ({ key, name })
+// A different key renames the tag in every POI that uses it
+export async function PUT({ params, request, locals }) {
+  try {
+    const { key } = params;
+    const storage = await getStorage();
+    // The count is maintained by the POI write paths, never set directly
+    const { key: newKey = key, count, ...fields } = await request.json();
+
+    const { tags } = await storage.readData('tags');
+    if (!tags[key]) {
+      return new Response(JSON.stringify({ error: 'Tag not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const tag = { ...tags[key], ...fields };
+    const errors = validateTag(newKey, tag);
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const renaming = newKey !== key;
+    let found = false;
+    let taken = false;
+    await storage.updateData('tags', data => {
+      if (!data.tags[key]) return null;
+      found = true;
+
+      if (renaming && data.tags[newKey]) {
+        taken = true;
+        return null;
+      }
+
+      // Put the new key right after the old one, which stays until no POI uses it
+      const result = {};
+      Object.entries(data.tags).forEach(([existingKey, value]) => {
+        if (existingKey === key) {
+          if (renaming) result[existingKey] = value;
+          result[newKey] = { ...tag, count: value.count };
+        } else {
+          result[existingKey] = value;
+        }
+      });
+      data.tags = result;
+      return tag;
+    });
+
+    if (!found) {
+      return new Response(JSON.stringify({ error: 'Tag not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    if (taken) {
+      return new Response(JSON.stringify({ error: `Tag "${newKey}" already exists, merge the tags instead` }), {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    let moved = 0;
+    if (renaming) {
+      moved = await replaceTag(storage, key, newKey, { author: getAuthor(locals) });
+      await storage.updateData('tags', data => {
+        delete data.tags[key];
+        return true;
+      });
+      await recountTags(storage);
+    }
+
+    const { tags: updated } = await storage.readData('tags');
+    return new Response(JSON.stringify({ success: true, key: newKey, tag: updated[newKey], moved }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+// DELETE /api/tags/[key] - Delete a tag and remove it from every POI
+export async function DELETE({ params, locals }) {
+  try {
+    const { key } = params;
+    const storage = await getStorage();
+
+    const { tags } = await storage.readData('tags');
+    if (!tags[key]) {
+      return new Response(JSON.stringify({ error: 'Tag not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const removedFrom = await replaceTag(storage, key, null, { author: getAuthor(locals) });
+    await storage.updateData('tags', data => {
+      delete data.tags[key];
+      return true;
+    });
+
+    return new Response(JSON.stringify({ success: true, removedFrom }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
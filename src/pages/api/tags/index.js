@@ -1,18 +1,11 @@
-import fs from 'fs';
-import path from 'path';
-
-const TAGS_FILE = path.join(process.cwd(), 'public', 'data', 'tags.json');
-
-// Ensure tags file exists
-if (!fs.existsSync(TAGS_FILE)) {
-  fs.writeFileSync(TAGS_FILE, JSON.stringify({ tags: {} }, null, 2));
-}
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validateTag, validationErrorResponse } from '../../../lib/schema.js';
 
 // GET /api/tags - Get all tags
 export async function GET() {
   try {
-    const content = fs.readFileSync(TAGS_FILE, 'utf8');
-    const data = JSON.parse(content);
+    const storage = await getStorage();
+    const data = await storage.readData('tags');
 
     return new Response(JSON.stringify(data), {
       status: 200,
@@ -30,27 +23,37 @@ export async function GET() {
   }
 }
 
-// POST /api/tags - Add new tag
+// POST /api/tags - Add new tag ({ key, name } with name as string or { de, en })
 export async function POST({ request }) {
   try {
+    const storage = await getStorage();
     const { key, name } = await request.json();
 
-    if (!key || !name) {
-      return new Response(JSON.stringify({ error: 'Tag key and name are required' }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+    const tag = {
+      // A plain name is used for both languages until it gets translated
+      name: typeof name === 'string' ? { de: name, en: name } : name,
+      count: 0
+    };
+
+    const errors = validateTag(key, tag);
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
     }
 
-    // Read current tags
-    const content = fs.readFileSync(TAGS_FILE, 'utf8');
-    const data = JSON.parse(content);
+    // Add new tag unless it already exists (read-modify-write under a lock)
+    let existing = null;
+    await storage.updateData('tags', data => {
+      if (data.tags[key]) {
+        existing = data.tags[key];
+        return null;
+      }
 
-    // Check if tag already exists
-    if (data.tags[key]) {
-      return new Response(JSON.stringify({ exists: true, tag: data.tags[key] }), {
+      data.tags[key] = tag;
+      return tag;
+    });
+
+    if (existing) {
+      return new Response(JSON.stringify({ exists: true, tag: existing }), {
         status: 200,
         headers: {
           'Content-Type': 'application/json'
@@ -58,16 +61,7 @@ export async function POST({ request }) {
       });
     }
 
-    // Add new tag
-    data.tags[key] = {
-      name: name,
-      count: 0
-    };
-
-    // Save back to file
-    fs.writeFileSync(TAGS_FILE, JSON.stringify(data, null, 2));
-
-    return new Response(JSON.stringify({ success: true, tag: data.tags[key] }), {
+    return new Response(JSON.stringify({ success: true, tag }), {
       status: 201,
       headers: {
         'Content-Type': 'application/json'
@@ -75,7 +69,7 @@ export async function POST({ request }) {
     });
   } catch (error) {
     return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
+      status: error instanceof StorageConflictError ? 409 : 500,
       headers: {
         'Content-Type': 'application/json'
       }
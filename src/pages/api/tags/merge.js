@@ -0,0 +1,53 @@
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { getAuthor } from '../../../lib/revisions.js';
+import { replaceTag, recountTags } from '../../../lib/poi-service.js';
+
+// POST /api/tags/merge - Replace one tag with another in all POIs ({ from, into })
+// and delete the emptied tag
+export async function POST({ request, locals }) {
+  try {
+    const storage = await getStorage();
+    const { from, into } = await request.json();
+
+    if (!from || !into || from === into) {
+      return new Response(JSON.stringify({ error: 'Provide two different tags as "from" and "into"' }), {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const { tags } = await storage.readData('tags');
+    const missing = [from, into].find(key => !tags[key]);
+    if (missing) {
+      return new Response(JSON.stringify({ error: `Tag "${missing}" not found` }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const moved = await replaceTag(storage, from, into, { author: getAuthor(locals) });
+    await storage.updateData('tags', data => {
+      delete data.tags[from];
+      return true;
+    });
+    await recountTags(storage);
+
+    return new Response(JSON.stringify({ success: true, moved }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -0,0 +1,96 @@
+import { getStorage, StorageConflictError } from '../../../lib/storage/index.js';
+import { validatePOI, validationErrorResponse } from '../../../lib/schema.js';
+import { computeEtag } from '../../../lib/etag.js';
+import { recordRevision, getAuthor } from '../../../lib/revisions.js';
+import { updateTagCounts } from '../../../lib/poi-service.js';
+import { statusAfterEdit } from '../../../lib/workflow.js';
+import { assignGraetzl } from '../../../lib/graetzl-assignment.js';
+
+// POST /api/trash/[id] - Restore a deleted POI
+// List references removed on delete are not added back
+export async function POST({ params, locals }) {
+  try {
+    const { id } = params;
+    const storage = await getStorage();
+    const entry = await storage.getTrashedPOI(id);
+
+    if (!entry) {
+      return new Response(JSON.stringify({ error: 'POI not found in trash' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    // Categories or tags may have been removed since the POI was deleted
+    const errors = validatePOI(entry.poi, {
+      categories: (await storage.readData('categories')).categories,
+      tags: (await storage.readData('tags')).tags
+    });
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // Like every other write: the Grätzl is recomputed, and editors' restores of published POIs need review
+    const poi = await storage.restoreTrashedPOI(id, trashed => statusAfterEdit(assignGraetzl(trashed), null, locals.user));
+    if (!poi) {
+      return new Response(JSON.stringify({ error: 'POI not found in trash' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    await recordRevision(storage, 'pois', id, { action: 'restore', author: getAuthor(locals), after: poi });
+    await updateTagCounts(storage, [], poi.properties.tags);
+
+    return new Response(JSON.stringify({ success: true, poi }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': computeEtag(poi)
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+// DELETE /api/trash/[id] - Delete a POI for good (its revision history is kept)
+export async function DELETE({ params }) {
+  try {
+    const { id } = params;
+    const storage = await getStorage();
+    const purged = await storage.purgeTrashedPOI(id);
+
+    if (!purged) {
+      return new Response(JSON.stringify({ error: 'POI not found in trash' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error instanceof StorageConflictError ? 409 : 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
@@ -0,0 +1,24 @@
+import { getStorage } from '../../../lib/storage/index.js';
+
+// GET /api/trash - List deleted POIs, most recently deleted first
+export async function GET() {
+  try {
+    const storage = await getStorage();
+    const entries = await storage.listTrashedPOIs();
+    entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+    return new Response(JSON.stringify(entries), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
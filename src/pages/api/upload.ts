@@ -1,44 +1,77 @@
 import type { APIRoute } from 'astro';
-import fs from 'fs';
-import path from 'path';
+import { getStorage } from '../../lib/storage/index.js';
+import {
+  ImageUploadError,
+  MAX_UPLOAD_BYTES,
+  detectImageType,
+  renderUpload,
+  storeUpload
+} from '../../lib/images.js';
+import { deleteUploadGroup } from '../../lib/media.js';
 
 export const POST: APIRoute = async ({ request }) => {
   try {
     const formData = await request.formData();
-    const file = formData.get('file') as File;
+    // Several files may be sent at once, one "file" field each
+    const files = formData.getAll('file').filter((file): file is File => file instanceof File);
 
-    if (!file) {
+    if (files.length === 0) {
       return new Response(JSON.stringify({ error: 'No file provided' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
-    // Create uploads directory if it doesn't exist
-    const uploadsDir = path.join(process.cwd(), 'public', 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
+    // Check every file before storing any, so a bad file doesn't leave half an upload behind
+    const buffers: Buffer[] = [];
+    for (const file of files) {
+      if (file.size > MAX_UPLOAD_BYTES) {
+        throw new ImageUploadError(`${file.name}: images may be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, 413);
+      }
+      const buffer = Buffer.from(await file.arrayBuffer());
+      if (!detectImageType(buffer)) {
+        throw new ImageUploadError(`${file.name}: only JPEG, PNG, GIF and WebP images can be uploaded`, 415);
+      }
+      buffers.push(buffer);
     }
 
-    // Generate unique filename
-    const timestamp = Date.now();
-    const ext = path.extname(file.name);
-    const filename = `poi_${timestamp}${ext}`;
-    const filepath = path.join(uploadsDir, filename);
+    // Re-encode every file before storing any, so a file sharp can't process doesn't leave the others behind
+    const rendered = [];
+    for (const buffer of buffers) {
+      rendered.push(await renderUpload(buffer));
+    }
 
-    // Write file
-    const arrayBuffer = await file.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    fs.writeFileSync(filepath, buffer);
+    const storage = await getStorage();
+    const timestamp = Date.now();
+    // File names come from the server only, numbered when several files share the timestamp
+    const basenames = rendered.map((_, i) => (rendered.length > 1 ? `poi_${timestamp}_${i + 1}` : `poi_${timestamp}`));
+    const images = [];
 
-    // Return the public URL path
-    const publicUrl = `/uploads/${filename}`;
+    try {
+      for (const [i, image] of rendered.entries()) {
+        images.push(await storeUpload(storage, image, basenames[i]));
+      }
+    } catch (error) {
+      // Storing failed part way, remove what was stored
+      for (const basename of basenames) {
+        await deleteUploadGroup(storage, basename);
+      }
+      throw error;
+    }
 
-    return new Response(JSON.stringify({ url: publicUrl }), {
+    // url and urls point at the largest JPEG of each image, variants carry every width and format
+    return new Response(JSON.stringify({ url: images[0].url, urls: images.map(image => image.url), images }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' }
     });
   } catch (error) {
+    if (error instanceof ImageUploadError) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: error.status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     console.error('Upload error:', error);
     return new Response(JSON.stringify({ error: 'Upload failed' }), {
       status: 500,
@@ -0,0 +1,69 @@
+import { getStorage } from '../../../lib/storage/index.js';
+import { EXPORT_FORMATS, EXPORT_LANGUAGES, exportList, getListSlug } from '../../../lib/exporters.js';
+import { isPublished, publishedLists } from '../../../lib/workflow.js';
+
+// One file per list, language and format, e.g. /exports/de/vom-naschmarkt-ins-freihausviertel.gpx
+// Follows the output mode: built as static files by the static production build,
+// rendered on demand by the Node server (development and `npm run build`), so CMS edits show up right away
+
+// Only published lists and stops are downloadable
+async function loadPublished(storage) {
+  const pois = await storage.listPOIs();
+  const { lists } = await storage.readData('lists');
+  return { pois: pois.filter(isPublished), lists: publishedLists(lists, pois) };
+}
+
+export async function getStaticPaths() {
+  const storage = await getStorage();
+  const { lists } = await loadPublished(storage);
+
+  return lists.flatMap(list => EXPORT_LANGUAGES.flatMap(lang =>
+    Object.keys(EXPORT_FORMATS).map(format => ({
+      params: { lang, slug: getListSlug(list), format }
+    }))
+  ));
+}
+
+// GET /exports/[lang]/[slug].[format] - Download a list or walk
+export async function GET({ params }) {
+  try {
+    const { lang, slug, format } = params;
+
+    if (!EXPORT_FORMATS[format] || !EXPORT_LANGUAGES.includes(lang)) {
+      return new Response(JSON.stringify({ error: 'Unknown export format or language' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    const storage = await getStorage();
+    const { lists, pois } = await loadPublished(storage);
+    const list = lists.find(l => getListSlug(l) === slug);
+
+    if (!list) {
+      return new Response(JSON.stringify({ error: 'List not found' }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    return new Response(exportList(list, pois, format, lang), {
+      status: 200,
+      headers: {
+        'Content-Type': `${EXPORT_FORMATS[format]}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${slug}.${format}"`
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}